@@ -43,12 +43,36 @@ const samplingRowsField = document.getElementById('samplingRowsField');
 const samplingSeedInput = document.getElementById('samplingSeed');
 const generateSamplingButton = document.getElementById('generateSamplingButton');
 const samplingSummary = document.getElementById('samplingSummary');
+const savedPlanSelect = document.getElementById('savedPlanSelect');
+const designTypeSelect = document.getElementById('designType');
+const designTreatmentsInput = document.getElementById('designTreatments');
+const designReplicatesInput = document.getElementById('designReplicates');
+const designReplicatesLabel = document.getElementById('designReplicatesLabel');
+const designSeedInput = document.getElementById('designSeed');
+const generateDesignButton = document.getElementById('generateDesignButton');
+const designSummary = document.getElementById('designSummary');
+const loadPlanButton = document.getElementById('loadPlanButton');
+const deletePlanButton = document.getElementById('deletePlanButton');
+const savedPlanMessages = document.getElementById('savedPlanMessages');
 const importPanel = document.getElementById('importPanel');
 const importFileInput = document.getElementById('importFile');
 const downloadTemplateButton = document.getElementById('downloadTemplate');
 const importButton = document.getElementById('importButton');
 const importMessages = document.getElementById('importMessages');
 const importHistory = document.getElementById('importHistory');
+const resumeImportPanel = document.getElementById('resumeImport');
+const resumeImportText = document.getElementById('resumeImportText');
+const resumeImportButton = document.getElementById('resumeImportButton');
+const cloneBatchPanel = document.getElementById('cloneBatchPanel');
+const cloneSourceSelect = document.getElementById('cloneSourceSelect');
+const cloneIncludePlantsInput = document.getElementById('cloneIncludePlants');
+const cloneCarryIdentityInput = document.getElementById('cloneCarryIdentity');
+const cloneBatchButton = document.getElementById('cloneBatchButton');
+const cloneMessages = document.getElementById('cloneMessages');
+const userBar = document.getElementById('userBar');
+const userName = document.getElementById('userName');
+const adminLink = document.getElementById('adminLink');
+const signOutButton = document.getElementById('signOutButton');
 
 const countPlots = document.getElementById('countPlots');
 const countRows = document.getElementById('countRows');
@@ -58,6 +82,10 @@ const countTotal = document.getElementById('countTotal');
 let plotsData = [];
 let activePlotIndex = 0;
 let needsRebuild = false;
+let lastImport = null;
+// Set after cloning a batch so exports print from the stored batch instead of
+// creating another one. Dropped as soon as the layout no longer matches.
+let activeBatch = null;
 let samplingState = {
   planId: null,
   trackedPlants: [],
@@ -169,11 +197,13 @@ function getValues() {
     qrBaseUrl: qrBaseUrlInput ? qrBaseUrlInput.value.trim() : '',
     trackedPlants: samplingState.trackedPlants,
     samplingPlanId: samplingState.planId,
+    design: getDesignConfig(),
     paperPreset: form.paperPreset.value,
     labelWidthMm: Number(form.labelWidth.value),
     labelHeightMm: Number(form.labelHeight.value),
     includeQr: form.includeQr?.checked,
     includeBack: form.includeBack?.checked,
+    includeDeadPlants: form.includeDeadPlants?.checked,
     exportPlot: exportPlotSelect.value,
     marginsMm: {
       top: Number(document.getElementById('marginTop').value),
@@ -588,6 +618,24 @@ function updateSamplingVisibility() {
   samplingRowsField.classList.toggle('hidden', !isRowBased);
 }
 
+// The design is re-derived on the server from this config, so a previewed seed
+// is kept in the seed field to print the same assignment.
+function getDesignConfig() {
+  if (!designTypeSelect || !designTypeSelect.value) return null;
+  const designType = designTypeSelect.value;
+  return {
+    designType,
+    treatments: designTreatmentsInput.value,
+    [designType === 'rcbd' ? 'blocks' : 'replicates']: designReplicatesInput.value,
+    seed: designSeedInput.value.trim()
+  };
+}
+
+function updateDesignFields() {
+  if (!designTypeSelect || !designReplicatesLabel) return;
+  designReplicatesLabel.textContent = designTypeSelect.value === 'crd' ? 'Replicates' : 'Blocks';
+}
+
 function resetSamplingState(message) {
   samplingState = { planId: null, trackedPlants: [], totalSamples: 0, seed: null };
   if (samplingSummary) {
@@ -595,10 +643,100 @@ function resetSamplingState(message) {
   }
 }
 
-function applyImportedData(payload) {
+async function loadSavedPlans() {
+  if (!savedPlanSelect) return;
+  try {
+    const response = await fetch('/api/sampling-plans');
+    if (!response.ok) return;
+    const data = await response.json();
+    const plans = data.plans || [];
+    const current = savedPlanSelect.value;
+    savedPlanSelect.innerHTML = plans.length
+      ? '<option value="">Select a saved plan</option>'
+      : '<option value="">No saved plans</option>';
+    plans.forEach((plan) => {
+      const option = document.createElement('option');
+      option.value = plan.id;
+      const created = plan.createdAt ? new Date(plan.createdAt).toLocaleString() : plan.id;
+      option.textContent = `${created} · ${plan.siteName || '-'} · ${plan.cropType || '-'} · ${plan.totalSamples} plants`;
+      savedPlanSelect.appendChild(option);
+    });
+    if ([...savedPlanSelect.options].some((opt) => opt.value === current)) {
+      savedPlanSelect.value = current;
+    }
+  } catch (error) {
+    // Saved plans are optional; generation still works without them.
+  }
+}
+
+async function applySavedPlan() {
+  const planId = savedPlanSelect ? savedPlanSelect.value : '';
+  if (!planId) {
+    savedPlanMessages.textContent = 'Select a saved plan to load.';
+    return;
+  }
+  const values = getValues();
+  const validation = validate(values);
+  if (validation.errors.length) {
+    renderMessages(validation, savedPlanMessages);
+    return;
+  }
+  savedPlanMessages.textContent = 'Loading plan...';
+  try {
+    const response = await fetch(`/api/sampling-plans/${encodeURIComponent(planId)}/apply`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      renderMessages({ errors: data.errors || ['Failed to load plan.'], warnings: data.warnings || [] }, savedPlanMessages);
+      return;
+    }
+    samplingState = {
+      planId: data.samplingPlanId,
+      trackedPlants: data.trackedPlants || [],
+      totalSamples: data.totalSamples || 0,
+      seed: data.seed
+    };
+    savedPlanMessages.textContent = '';
+    samplingSummary.textContent = `Sampling plan loaded: ${samplingState.totalSamples} plants tracked (seed: ${samplingState.seed}).`;
+    updatePreview();
+  } catch (error) {
+    savedPlanMessages.textContent = 'Failed to load plan. Please try again.';
+  }
+}
+
+async function deleteSavedPlan() {
+  const planId = savedPlanSelect ? savedPlanSelect.value : '';
+  if (!planId) {
+    savedPlanMessages.textContent = 'Select a saved plan to delete.';
+    return;
+  }
+  if (!window.confirm('Delete this sampling plan? Printed labels are not affected.')) return;
+  try {
+    const response = await fetch(`/api/sampling-plans/${encodeURIComponent(planId)}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json();
+      renderMessages({ errors: data.errors || ['Failed to delete plan.'], warnings: [] }, savedPlanMessages);
+      return;
+    }
+    if (samplingState.planId === planId) {
+      resetSamplingState('Sampling plan deleted. Generate or load another plan.');
+    }
+    savedPlanMessages.textContent = 'Plan deleted.';
+    await loadSavedPlans();
+    updatePreview();
+  } catch (error) {
+    savedPlanMessages.textContent = 'Failed to delete plan. Please try again.';
+  }
+}
+
+function applyLayout(payload, inputMode) {
   const plots = Array.isArray(payload.plots) ? payload.plots : [];
   plotsData = plots.map((plot) => ({
     plotNo: plot.plotNo || plot.plot_no,
+    plantCount: plot.plantCount || plot.plant_count,
     rows: (plot.rows || []).map((row) => ({
       rowNo: row.rowNo || row.row_no,
       plantCount: row.plantCount || row.plant_count
@@ -606,17 +744,156 @@ function applyImportedData(payload) {
   }));
   activePlotIndex = 0;
   needsRebuild = false;
+  activeBatch = null;
 
   form.siteName.value = payload.siteName || '';
   form.cropType.value = payload.cropType || '';
   form.plotsCount.value = plots.length || 1;
   if (structureSelect) structureSelect.value = payload.structureCode || 'S3';
   if (modeSelect) modeSelect.value = payload.mode || 'Standard';
+  if (inputModeSelect) inputModeSelect.value = inputMode;
+  resetSamplingState();
+  setupMessages.textContent = '';
+  stageB.classList.remove('hidden');
+}
 
+function applyImportedData(payload) {
+  lastImport = null;
+  if (resumeImportPanel) resumeImportPanel.classList.add('hidden');
+  applyLayout(payload, 'excel');
   renderPlots();
   updatePreview();
 }
 
+function getLayoutSignature(values) {
+  return JSON.stringify([values.siteName, values.cropType, values.structureCode, values.mode, values.plots, values.trackedPlants]);
+}
+
+async function loadCloneSources() {
+  if (!cloneSourceSelect) return;
+  try {
+    const response = await fetch('/api/batches?status=all');
+    if (!response.ok) return;
+    const data = await response.json();
+    const batches = data.batches || [];
+    if (!batches.length) return;
+    cloneSourceSelect.innerHTML = '<option value="">Select a batch</option>';
+    batches.forEach((batch) => {
+      const option = document.createElement('option');
+      option.value = batch.id;
+      option.textContent = [batch.batch_name || `Batch ${batch.id}`, batch.site_name, batch.crop_type, batch.structure_code]
+        .join(' · ');
+      cloneSourceSelect.appendChild(option);
+    });
+    cloneBatchPanel.classList.remove('hidden');
+  } catch (error) {
+    // Cloning needs stored batches; a fresh setup still works without them.
+  }
+}
+
+async function cloneSelectedBatch() {
+  const sourceId = cloneSourceSelect ? cloneSourceSelect.value : '';
+  const batchName = batchNameInput ? batchNameInput.value.trim() : '';
+  const errors = [];
+  if (!sourceId) errors.push('Select a batch to clone.');
+  if (!batchName) errors.push('Enter a Season / Batch Name for the new batch.');
+  if (errors.length) {
+    renderMessages({ errors, warnings: [] }, cloneMessages);
+    return;
+  }
+  cloneMessages.textContent = 'Cloning batch...';
+  try {
+    const response = await fetch(`/api/batches/${encodeURIComponent(sourceId)}/clone`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        batchName,
+        startDate: startDateInput ? startDateInput.value : '',
+        includePlants: cloneIncludePlantsInput ? cloneIncludePlantsInput.checked : true,
+        carryPlantIdentity: cloneCarryIdentityInput ? cloneCarryIdentityInput.checked : false
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      renderMessages({ errors: data.errors || ['Failed to clone batch.'], warnings: data.warnings || [] }, cloneMessages);
+      return;
+    }
+    applyLayout(data.layout, 'manual');
+    if (batchNameInput) batchNameInput.value = data.layout.batchName || '';
+    if (startDateInput) startDateInput.value = data.layout.startDate || '';
+    if (data.layout.mode === 'Research' && data.trackedPlants.length) {
+      samplingState = {
+        planId: null,
+        trackedPlants: data.trackedPlants,
+        totalSamples: data.trackedPlants.length,
+        seed: null
+      };
+      samplingSummary.textContent = `Tracked plants copied from the previous season: ${data.trackedPlants.length}.`;
+    }
+    renderPlots();
+    activeBatch = { id: data.batch.id, signature: getLayoutSignature(getValues()) };
+    cloneMessages.textContent = `Created batch ${data.batch.id}: ${data.counts.plots} plots, ${data.counts.rows} rows, ${data.counts.plants} plants.`;
+    updatePreview();
+    loadCloneSources();
+  } catch (error) {
+    cloneMessages.textContent = 'Failed to clone batch. Please try again.';
+  }
+}
+
+function getExportEndpoint(values, format) {
+  if (activeBatch && activeBatch.signature !== getLayoutSignature(values)) {
+    activeBatch = null;
+    if (cloneMessages) cloneMessages.textContent = 'Layout changed after cloning. Exports will create a new batch.';
+  }
+  return activeBatch ? `/api/batches/${activeBatch.id}/${format}` : `/api/${format}`;
+}
+
+function describeImport(payload) {
+  const uploaded = payload.uploadedAt ? new Date(payload.uploadedAt).toLocaleString() : '';
+  const plots = payload.counts?.plots || (payload.plots || []).length;
+  return [uploaded, payload.fileName, `${payload.siteName} · ${payload.cropType}`, `${plots} plots`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+async function loadCurrentImport() {
+  if (!resumeImportPanel) return;
+  try {
+    const response = await fetch('/api/import/current');
+    if (!response.ok) return;
+    const data = await response.json();
+    if (!data.current || !Array.isArray(data.current.plots) || !data.current.plots.length) return;
+    lastImport = data.current;
+    resumeImportText.textContent = `Last import: ${describeImport(lastImport)}`;
+    resumeImportPanel.classList.remove('hidden');
+  } catch (error) {
+    // Resuming is optional; a fresh upload still works.
+  }
+}
+
+function resumeLastImport() {
+  if (!lastImport) return;
+  const payload = lastImport;
+  applyImportedData(payload);
+  importMessages.textContent = `Resumed import: ${describeImport(payload)}.`;
+}
+
+async function reapplyImport(importId) {
+  importMessages.textContent = 'Applying import...';
+  try {
+    const response = await fetch(`/api/imports/${encodeURIComponent(importId)}/apply`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) {
+      renderMessages({ errors: data.errors || ['Failed to apply import.'], warnings: [] }, importMessages);
+      return;
+    }
+    applyImportedData(data);
+    importMessages.textContent = `Applied import: ${describeImport(data)}.`;
+  } catch (error) {
+    importMessages.textContent = 'Failed to apply import. Please try again.';
+  }
+}
+
 function updateInputMode() {
   const modeValue = inputModeSelect ? inputModeSelect.value : 'manual';
   if (importPanel) {
@@ -639,9 +916,23 @@ async function loadImportHistory() {
       importHistory.textContent = 'No imports yet.';
       return;
     }
-    importHistory.textContent = history
-      .map((entry) => `${entry.uploadedAt} · ${entry.fileName} · ${entry.counts?.plots || 0} plots`)
-      .join('\\n');
+    importHistory.innerHTML = '';
+    history.forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = 'import-history-item';
+      const text = document.createElement('span');
+      text.textContent = `${entry.uploadedAt} · ${entry.fileName} · ${entry.counts?.plots || 0} plots`;
+      item.appendChild(text);
+      if (entry.restorable) {
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.className = 'ghost';
+        applyButton.textContent = 'Apply';
+        applyButton.addEventListener('click', () => reapplyImport(entry.id));
+        item.appendChild(applyButton);
+      }
+      importHistory.appendChild(item);
+    });
   } catch (error) {
     importHistory.textContent = '';
   }
@@ -830,11 +1121,12 @@ function updatePreview() {
   csvButton.disabled = hasErrors || values.labelType === 'all';
 }
 
-async function exportFile(endpoint, fileName) {
+async function exportFile(format, fileName) {
   const values = getValues();
   const validation = validate(values);
   renderMessages(validation);
   if (validation.errors.length) return;
+  const endpoint = getExportEndpoint(values, format);
 
   pdfButton.disabled = true;
   csvButton.disabled = true;
@@ -1036,6 +1328,26 @@ if (downloadTemplateButton) {
 if (importButton) {
   importButton.addEventListener('click', importExcel);
 }
+if (resumeImportButton) {
+  resumeImportButton.addEventListener('click', resumeLastImport);
+}
+if (loadPlanButton) {
+  loadPlanButton.addEventListener('click', applySavedPlan);
+}
+if (deletePlanButton) {
+  deletePlanButton.addEventListener('click', deleteSavedPlan);
+}
+if (cloneBatchButton) {
+  cloneBatchButton.addEventListener('click', cloneSelectedBatch);
+}
+if (signOutButton) {
+  signOutButton.addEventListener('click', signOut);
+}
+if (cloneCarryIdentityInput) {
+  cloneCarryIdentityInput.addEventListener('change', () => {
+    if (cloneCarryIdentityInput.checked && cloneIncludePlantsInput) cloneIncludePlantsInput.checked = true;
+  });
+}
 paperPresetSelect.addEventListener('change', () => {
   if (paperPresetSelect.value === 'Label3x5') {
     layoutModeSelect.value = 'single';
@@ -1049,11 +1361,11 @@ previewButton.addEventListener('click', () => {
 
 pdfButton.addEventListener('click', () => {
   const labelType = labelTypeSelect.value || 'plant';
-  exportFile('/api/pdf', `farm-${labelType}-labels.pdf`);
+  exportFile('pdf', `farm-${labelType}-labels.pdf`);
 });
 csvButton.addEventListener('click', () => {
   const labelType = labelTypeSelect.value || 'plant';
-  exportFile('/api/csv', `farm-${labelType}-labels.csv`);
+  exportFile('csv', `farm-${labelType}-labels.csv`);
 });
 
 if (generateSamplingButton) {
@@ -1103,12 +1415,76 @@ if (generateSamplingButton) {
       };
       samplingSummary.textContent = `Sampling plan ready: ${samplingState.totalSamples} plants tracked (seed: ${samplingState.seed}).`;
       updatePreview();
+      loadSavedPlans();
     } catch (error) {
       samplingSummary.textContent = 'Sampling failed. Please try again.';
     }
   });
 }
 
+if (designTypeSelect) {
+  designTypeSelect.addEventListener('change', updateDesignFields);
+}
+
+if (generateDesignButton) {
+  generateDesignButton.addEventListener('click', async () => {
+    const values = getValues();
+    const validation = validate(values);
+    renderMessages(validation, designSummary);
+    if (validation.errors.length) return;
+    if (!values.design) {
+      designSummary.textContent = 'Choose a design type first.';
+      return;
+    }
+
+    designSummary.textContent = 'Generating design...';
+    try {
+      const response = await fetch('/api/design', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        renderMessages({ errors: data.errors || ['Design failed.'], warnings: data.warnings || [] }, designSummary);
+        return;
+      }
+      designSeedInput.value = data.design.seed;
+      const plots = data.design.assignments
+        .map((assignment) => `Plot ${assignment.plotNo}: ${assignment.treatment}`)
+        .join(' · ');
+      designSummary.textContent = `Design ready (seed: ${data.design.seed}). ${plots}`;
+    } catch (error) {
+      designSummary.textContent = 'Design failed. Please try again.';
+    }
+  });
+}
+
+async function loadCurrentUser() {
+  if (!userBar) return;
+  try {
+    const response = await fetch('/api/auth/me');
+    if (!response.ok) return;
+    const data = await response.json();
+    userName.textContent = `Signed in as ${data.user.displayName} (${data.user.role.replace('_', ' ')}) · ${data.organisation.name}`;
+    if (qrBaseUrlInput) qrBaseUrlInput.placeholder = data.organisation.qrBaseUrl;
+    adminLink.classList.toggle('hidden', data.user.role !== 'admin');
+    userBar.classList.remove('hidden');
+  } catch (error) {
+    // The page still works; the server enforces access either way.
+  }
+}
+
+async function signOut() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    // Scan pages cached for offline use hold this account's farm data.
+    if ('caches' in window) await caches.delete('fg-scan-v1');
+  } finally {
+    window.location.href = '/login';
+  }
+}
+
 async function loadDefaults() {
   try {
     const response = await fetch('/api/presets');
@@ -1131,7 +1507,11 @@ async function loadDefaults() {
   }
 }
 
+loadCurrentUser();
 loadDefaults().finally(() => {
   loadImportHistory();
+  loadCurrentImport();
+  loadSavedPlans();
+  loadCloneSources();
   updatePreview();
 });
@@ -0,0 +1,230 @@
+// Offline queue for events logged on the /p, /r and /t scan pages. Events that
+// cannot be sent are kept in IndexedDB and retried with the same
+// Idempotency-Key, so the server stores each one exactly once.
+(() => {
+  const DB_NAME = 'farm-labels';
+  const STORE = 'queuedEvents';
+
+  const indicator = document.getElementById('syncIndicator');
+  const form = document.getElementById('eventForm');
+  const history = document.getElementById('eventHistory');
+  let flushing = false;
+  let lastSync = null;
+  let signInNeeded = false;
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function withStore(mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = action(transaction.objectStore(STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request ? request.result : undefined);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  }
+
+  function newKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // JSON normally; multipart once photos are attached.
+  function buildRequest(entry) {
+    const headers = { 'Idempotency-Key': entry.key };
+    const photos = entry.photos || [];
+    if (!photos.length) {
+      return {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry.fields)
+      };
+    }
+    const body = new FormData();
+    body.append('entityType', entry.fields.entityType);
+    body.append('entityId', String(entry.fields.entityId));
+    body.append('eventType', entry.fields.eventType);
+    if (entry.fields.payload) body.append('payload', JSON.stringify(entry.fields.payload));
+    photos.forEach((photo) => body.append('photos', photo, photo.name));
+    return { method: 'POST', headers, body };
+  }
+
+  function listEntries() {
+    return withStore('readonly', (store) => store.getAll()).then((entries) => (
+      (entries || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+    ));
+  }
+
+  async function enqueue(entry) {
+    await withStore('readwrite', (store) => store.put({
+      ...entry,
+      queuedAt: new Date().toISOString(),
+      status: 'pending',
+      error: null
+    }));
+    await render();
+  }
+
+  // Server errors, timeouts and rate limits are worth another try; other 4xx
+  // answers mean the event itself was refused.
+  function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  // Sends pending events oldest first. Network and retryable errors stop the run
+  // and leave the rest queued; a rejected event is kept as failed so it is not
+  // lost silently.
+  async function flush() {
+    if (flushing || !navigator.onLine) return;
+    flushing = true;
+    signInNeeded = false;
+    try {
+      const entries = (await listEntries()).filter((entry) => entry.status === 'pending');
+      for (const entry of entries) {
+        let response;
+        try {
+          response = await fetch('/api/events', buildRequest(entry));
+        } catch (error) {
+          break;
+        }
+        if (response.status === 401) {
+          signInNeeded = true;
+          break;
+        }
+        if (isRetryableStatus(response.status)) break;
+        if (response.ok) {
+          await withStore('readwrite', (store) => store.delete(entry.key));
+          lastSync = new Date();
+          continue;
+        }
+        let message = `Server answered ${response.status}.`;
+        try {
+          const data = await response.json();
+          if (data.errors) message = data.errors.join(', ');
+        } catch (error) {
+          // keep the status message
+        }
+        await withStore('readwrite', (store) => store.put({ ...entry, status: 'failed', error: message }));
+      }
+    } finally {
+      flushing = false;
+      await render();
+    }
+  }
+
+  async function retryFailed() {
+    const failed = (await listEntries()).filter((entry) => entry.status === 'failed');
+    await withStore('readwrite', (store) => {
+      failed.forEach((entry) => store.put({ ...entry, status: 'pending', error: null }));
+    });
+    await flush();
+  }
+
+  async function discardFailed() {
+    const failed = (await listEntries()).filter((entry) => entry.status === 'failed');
+    await withStore('readwrite', (store) => {
+      failed.forEach((entry) => store.delete(entry.key));
+    });
+    await render();
+  }
+
+  function isForThisPage(entry) {
+    if (!form) return false;
+    const { entityType, entityId } = entry.fields;
+    return (entityType === form.dataset.entityType && String(entityId) === form.dataset.entityId)
+      || (entityType === 'batch' && String(entityId) === form.dataset.batchId);
+  }
+
+  function renderPendingItems(entries) {
+    if (!history) return;
+    history.querySelectorAll('.event.pending').forEach((item) => item.remove());
+    entries.filter(isForThisPage).reverse().forEach((entry) => {
+      const item = document.createElement('div');
+      item.className = 'event pending';
+      const meta = document.createElement('div');
+      meta.className = 'event-meta';
+      meta.textContent = `${new Date(entry.queuedAt).toLocaleString('en-US')} · ${entry.status === 'failed' ? `not saved: ${entry.error}` : 'waiting to sync'}`;
+      const type = document.createElement('div');
+      type.className = 'event-type';
+      type.textContent = entry.label || entry.fields.eventType;
+      item.append(meta, type);
+      history.prepend(item);
+    });
+  }
+
+  async function render() {
+    if (!indicator) return;
+    let entries = [];
+    try {
+      entries = await listEntries();
+    } catch (error) {
+      return;
+    }
+    renderPendingItems(entries);
+    const pending = entries.filter((entry) => entry.status === 'pending').length;
+    const failed = entries.filter((entry) => entry.status === 'failed').length;
+    indicator.textContent = '';
+    indicator.classList.toggle('pending', pending > 0);
+    indicator.classList.toggle('failed', failed > 0);
+    const parts = [];
+    if (pending) {
+      parts.push(`${pending} event${pending === 1 ? '' : 's'} waiting to sync`);
+      if (!navigator.onLine) parts.push('offline');
+      else if (signInNeeded) parts.push('sign in again to sync');
+    }
+    if (failed) parts.push(`${failed} rejected by the server`);
+    if (!parts.length) {
+      parts.push(lastSync ? `All events synced at ${lastSync.toLocaleTimeString('en-US')}` : 'All events synced');
+    }
+    const text = document.createElement('span');
+    text.textContent = parts.join(' · ');
+    indicator.append(text);
+    if (failed) {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'link';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', retryFailed);
+      indicator.append(retry);
+      const discard = document.createElement('button');
+      discard.type = 'button';
+      discard.className = 'link';
+      discard.textContent = 'Discard rejected';
+      discard.addEventListener('click', discardFailed);
+      indicator.append(discard);
+    }
+    indicator.classList.remove('hidden');
+  }
+
+  window.eventQueue = { newKey, buildRequest, enqueue, flush };
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Pages still work online without the worker.
+    });
+  }
+
+  if (!('indexedDB' in window)) return;
+  window.addEventListener('online', flush);
+  window.addEventListener('offline', render);
+  render().then(flush);
+})();
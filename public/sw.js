@@ -0,0 +1,82 @@
+// Service worker for the field scan pages. Scan pages and photo thumbnails are
+// fetched network-first and kept for offline use; queued events are handled
+// by event-queue.js in the page, not here.
+const SHELL_CACHE = 'fg-shell-v1';
+const SCAN_CACHE = 'fg-scan-v1';
+const SHELL_FILES = ['/event-queue.js', '/manifest.webmanifest', '/icon.svg'];
+const MAX_SCAN_ENTRIES = 150;
+const SCAN_PAGE = /^\/[prt]\/[^/]+$/;
+const THUMBNAIL = /^\/api\/events\/\d+\/attachments\/\d+\/thumbnail$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('fg-') && key !== SHELL_CACHE && key !== SCAN_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimScanCache() {
+  const cache = await caches.open(SCAN_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_SCAN_ENTRIES)).map((key) => cache.delete(key)));
+}
+
+function offlinePage() {
+  return new Response(
+    '<!doctype html><meta name="viewport" content="width=device-width, initial-scale=1" />'
+      + '<title>Offline</title><body style="font-family: Arial, sans-serif; padding: 24px;">'
+      + '<h1>Offline</h1><p>This label has not been opened on this device yet. Scan it again once you have signal.</p></body>',
+    { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+  );
+}
+
+// A redirect means the session ended (sign-in page); never cache that as the entity.
+async function networkFirst(request) {
+  const cache = await caches.open(SCAN_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected) {
+      await cache.put(request, response.clone());
+      trimScanCache();
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    return request.mode === 'navigate' ? offlinePage() : Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (SCAN_PAGE.test(url.pathname) || THUMBNAIL.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -1,21 +1,36 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const express = require('express');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const multer = require('multer');
 const XLSX = require('xlsx');
 const { Pool } = require('pg');
+const { PGlite } = require('@electric-sql/pglite');
+const sharp = require('sharp');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(express.json({ limit: '2mb' }));
+app.use(loadSessionUser);
+app.use(requireLoginForApp);
 app.use(express.static(path.join(__dirname, 'public')));
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
-let dbReady = false;
-let coreDbReady = false;
+const EVENT_PHOTOS = {
+  maxFiles: 4,
+  contentTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  thumbnailPx: 320
+};
+
+// Offline scan pages generate one of these per queued event (see public/event-queue.js).
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+let schemaReady = false;
+let schemaPromise = null;
 let pool = null;
 
 const PAPER_PRESETS = {
@@ -39,6 +54,14 @@ const DEFAULT_QR = {
   baseUrl: 'https://fgn.app'
 };
 
+// Optional QR signing keys as comma-separated keyId:secret pairs. The first key
+// signs new labels; keep retired keys listed so older labels still verify.
+const QR_SIGNING_KEYS = parseQrSigningKeys(process.env.QR_SIGNING_KEYS);
+const QR_SIGNATURE_LENGTH = 16;
+
+// The organisations migration creates this farm and moves all earlier data into it.
+const DEFAULT_ORG_ID = '1';
+
 const STRUCTURES = {
   S1: { code: 'S1', hasRows: false, hasPlants: true }, // Plot + Plant
   S2: { code: 'S2', hasRows: true, hasPlants: false }, // Plot + Row
@@ -52,74 +75,191 @@ const MODES = {
   FULL: 'Full'
 };
 
+const ROLES = {
+  ADMIN: 'admin',
+  SUPERVISOR: 'supervisor',
+  FIELD_WORKER: 'field_worker',
+  VIEWER: 'viewer'
+};
+
+// Lowest to highest; each role can do everything the ones before it can.
+const ROLE_ORDER = [ROLES.VIEWER, ROLES.FIELD_WORKER, ROLES.SUPERVISOR, ROLES.ADMIN];
+
+const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'admin',
+  [ROLES.SUPERVISOR]: 'supervisor',
+  [ROLES.FIELD_WORKER]: 'field worker',
+  [ROLES.VIEWER]: 'viewer'
+};
+
+// What an API key may do. Keys never reach routes that declare no scope.
+const API_SCOPES = {
+  READ_BATCHES: 'batches:read',
+  WRITE_EVENTS: 'events:write',
+  EXPORT_LABELS: 'labels:export'
+};
+
+const API_SCOPE_LABELS = {
+  [API_SCOPES.READ_BATCHES]: 'Read batches',
+  [API_SCOPES.WRITE_EVENTS]: 'Write events',
+  [API_SCOPES.EXPORT_LABELS]: 'Export labels and event data'
+};
+
+const SESSION_COOKIE = 'fg_session';
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 14;
+// Usernames allowed to manage every organisation, not just their own.
+const SUPER_ADMINS = String(process.env.SUPER_ADMINS || '').split(',').map((name) => name.trim()).filter(Boolean);
+const scrypt = promisify(crypto.scrypt);
+
+const BATCH_STATUSES = {
+  ACTIVE: 'active',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived'
+};
+
+const PLANT_STATUSES = {
+  ACTIVE: 'active',
+  DEAD: 'dead',
+  REMOVED: 'removed',
+  REPLACED: 'replaced'
+};
+
+// Field definitions per event type. Number fields may name a unitKey whose
+// value is printed after them; every type also accepts a free-text note.
+const EVENT_TYPES = {
+  irrigation: {
+    label: 'Irrigation',
+    fields: [
+      { key: 'volumeL', label: 'Volume', type: 'number', unit: 'L', min: 0 },
+      { key: 'durationMin', label: 'Duration', type: 'number', unit: 'min', min: 0 }
+    ]
+  },
+  spray: {
+    label: 'Spray',
+    fields: [
+      { key: 'product', label: 'Product', type: 'text', required: true },
+      { key: 'dose', label: 'Dose', type: 'number', min: 0, required: true, unitKey: 'doseUnit' },
+      { key: 'doseUnit', label: 'Unit', type: 'select', options: ['ml/L', 'g/L', 'ml/ha', 'g/ha', 'L/ha', 'kg/ha'], required: true }
+    ]
+  },
+  harvest: {
+    label: 'Harvest',
+    fields: [
+      { key: 'weightKg', label: 'Weight', type: 'number', unit: 'kg', min: 0 },
+      { key: 'count', label: 'Count', type: 'integer', min: 0 }
+    ]
+  },
+  observation: {
+    label: 'Observation',
+    fields: [
+      { key: 'value', label: 'Value', type: 'number', required: true, unitKey: 'unit' },
+      { key: 'unit', label: 'Unit', type: 'text' }
+    ]
+  },
+  note: {
+    label: 'Note',
+    fields: []
+  }
+};
+
+// Crop-specific additions, keyed by lower-case crop type. An entry with the
+// same key as a base type replaces it for that crop. More crops come from
+// CROP_EVENT_TYPES_FILE (see loadCropEventTypes).
+const CROP_EVENT_TYPES = {
+  marigold: {
+    flowering: {
+      label: 'Flowering',
+      fields: [
+        { key: 'flowerCount', label: 'Open flowers', type: 'integer', min: 0, required: true },
+        { key: 'budCount', label: 'Buds', type: 'integer', min: 0 }
+      ]
+    }
+  },
+  'areca nut': {
+    harvest: {
+      label: 'Harvest',
+      fields: [
+        { key: 'bunchCount', label: 'Bunches', type: 'integer', min: 0 },
+        { key: 'weightKg', label: 'Weight', type: 'number', unit: 'kg', min: 0 }
+      ]
+    }
+  }
+};
+
+// Plant-only event types. A status event sets the plant's status; 'replaced' is
+// not offered because only the replace action, which creates the successor, logs it.
+const PLANT_STATUS_EVENT = 'status';
+const PLANT_EVENT_TYPES = {
+  [PLANT_STATUS_EVENT]: {
+    label: 'Status change',
+    fields: [
+      {
+        key: 'status',
+        label: 'Status',
+        type: 'select',
+        options: [PLANT_STATUSES.ACTIVE, PLANT_STATUSES.DEAD, PLANT_STATUSES.REMOVED],
+        required: true
+      }
+    ]
+  }
+};
+
+// Measurements are plant events of type trait:<key>, checked against the
+// batch's trait definition like any other event type.
+const TRAIT_EVENT_PREFIX = 'trait:';
+const TRAIT_DATA_TYPES = ['number', 'integer'];
+
+const DESIGN_TYPES = ['rcbd', 'crd'];
+const MAX_TREATMENT_CODE_LENGTH = 12;
+
 const DATA_DIR = process.env.DATA_DIR || (process.env.VERCEL ? '/tmp/data' : path.join(__dirname, 'data'));
 const SAMPLING_FILE = path.join(DATA_DIR, 'sampling-plans.json');
+const CROP_EVENT_TYPES_FILE = process.env.CROP_EVENT_TYPES_FILE || path.join(DATA_DIR, 'crop-event-types.json');
+const EVENT_FIELD_TYPES = ['number', 'integer', 'text', 'select', 'date'];
 const IMPORTS_FILE = path.join(DATA_DIR, 'import-history.json');
 const CURRENT_IMPORT_FILE = path.join(DATA_DIR, 'current-import.json');
+const LOCAL_DB_DIR = process.env.LOCAL_DB_DIR || path.join(DATA_DIR, 'local-db');
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false';
 
-initCoreDb().catch(() => {
-  // initCoreDb already logs the failure
-});
-
-async function initDb() {
-  if (dbReady || !coreDbAvailable()) return;
-  try {
-    const db = getPool();
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS sampling_plans (
-        id TEXT PRIMARY KEY,
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        data JSONB NOT NULL
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS import_history (
-        id TEXT PRIMARY KEY,
-        uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        data JSONB NOT NULL
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS current_import (
-        id TEXT PRIMARY KEY,
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        data JSONB NOT NULL
-      );
-    `);
-    dbReady = true;
-  } catch (error) {
-    dbReady = false;
-    console.error('Aux DB init failed:', error.message);
-    throw error;
-  }
+// Core tables live in Postgres when DATABASE_URL is set, otherwise in an
+// embedded Postgres (PGlite) persisted under DATA_DIR so the same SQL runs offline.
+function getStorageBackend() {
+  return process.env.DATABASE_URL ? 'postgres' : 'local';
 }
 
-function dbAvailable() {
-  return Boolean(process.env.DATABASE_URL);
+function createPostgresPool() {
+  const rawUrl = process.env.DATABASE_URL;
+  const connectionString = rawUrl.replace(/([?&])sslmode=[^&]+/i, '$1').replace(/[?&]$/, '');
+  return new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
 }
 
-function coreDbAvailable() {
-  return Boolean(process.env.DATABASE_URL);
+function createLocalPool() {
+  ensureDataDir();
+  if (!fs.existsSync(LOCAL_DB_DIR)) {
+    fs.mkdirSync(LOCAL_DB_DIR, { recursive: true });
+  }
+  return new PGlite(LOCAL_DB_DIR);
 }
 
 function getPool() {
   if (!pool) {
-    const rawUrl = process.env.DATABASE_URL;
-    const connectionString = rawUrl ? rawUrl.replace(/([?&])sslmode=[^&]+/i, '$1').replace(/[?&]$/, '') : rawUrl;
-    pool = new Pool({
-      connectionString,
-      ssl: { rejectUnauthorized: false }
-    });
+    pool = getStorageBackend() === 'postgres' ? createPostgresPool() : createLocalPool();
   }
   return pool;
 }
 
-async function initCoreDb() {
-  if (coreDbReady || !coreDbAvailable()) return;
-  try {
-    const db = getPool();
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS batches (
+// Ordered, append-only list of schema changes. Never edit a migration that has
+// shipped; add a new one instead. The first two use IF NOT EXISTS so databases
+// created before migrations existed are adopted without errors.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'core_tables',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS batches (
         id BIGSERIAL PRIMARY KEY,
         site_name TEXT NOT NULL,
         crop_type TEXT NOT NULL,
@@ -128,10 +268,8 @@ async function initCoreDb() {
         structure_code TEXT NOT NULL,
         mode TEXT NOT NULL,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS plots (
+      )`,
+      `CREATE TABLE IF NOT EXISTS plots (
         id BIGSERIAL PRIMARY KEY,
         batch_id BIGINT NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
         plot_no INTEGER NOT NULL,
@@ -139,20 +277,16 @@ async function initCoreDb() {
         plant_count INTEGER DEFAULT 0,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         UNIQUE (batch_id, plot_no)
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS rows (
+      )`,
+      `CREATE TABLE IF NOT EXISTS rows (
         id BIGSERIAL PRIMARY KEY,
         plot_id BIGINT NOT NULL REFERENCES plots(id) ON DELETE CASCADE,
         row_no INTEGER NOT NULL,
         plant_count INTEGER DEFAULT 0,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         UNIQUE (plot_id, row_no)
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS plants (
+      )`,
+      `CREATE TABLE IF NOT EXISTS plants (
         id BIGSERIAL PRIMARY KEY,
         plot_id BIGINT NOT NULL REFERENCES plots(id) ON DELETE CASCADE,
         row_id BIGINT REFERENCES rows(id) ON DELETE SET NULL,
@@ -161,10 +295,8 @@ async function initCoreDb() {
         sampling_plan_id TEXT,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         UNIQUE (plot_id, row_id, plant_no)
-      );
-    `);
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS events (
+      )`,
+      `CREATE TABLE IF NOT EXISTS events (
         id BIGSERIAL PRIMARY KEY,
         entity_type TEXT NOT NULL,
         entity_id BIGINT NOT NULL,
@@ -172,31 +304,552 @@ async function initCoreDb() {
         payload JSONB,
         created_by TEXT,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-    coreDbReady = true;
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'aux_tables',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS sampling_plans (
+        id TEXT PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        data JSONB NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS import_history (
+        id TEXT PRIMARY KEY,
+        uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        data JSONB NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS current_import (
+        id TEXT PRIMARY KEY,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        data JSONB NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 3,
+    name: 'retired_entities',
+    statements: [
+      'ALTER TABLE plots ADD COLUMN retired_at TIMESTAMPTZ',
+      'ALTER TABLE rows ADD COLUMN retired_at TIMESTAMPTZ',
+      'ALTER TABLE plants ADD COLUMN retired_at TIMESTAMPTZ'
+    ]
+  },
+  {
+    version: 4,
+    name: 'batch_status',
+    statements: [
+      "ALTER TABLE batches ADD COLUMN status TEXT NOT NULL DEFAULT 'active'",
+      'ALTER TABLE batches ADD COLUMN status_changed_at TIMESTAMPTZ',
+      'ALTER TABLE batches ADD COLUMN updated_at TIMESTAMPTZ'
+    ]
+  },
+  {
+    version: 5,
+    name: 'season_clones',
+    statements: [
+      'ALTER TABLE batches ADD COLUMN cloned_from_batch_id BIGINT REFERENCES batches(id) ON DELETE SET NULL',
+      'ALTER TABLE plants ADD COLUMN previous_season_plant_id BIGINT REFERENCES plants(id) ON DELETE SET NULL'
+    ]
+  },
+  {
+    version: 6,
+    name: 'event_revisions',
+    statements: [
+      'ALTER TABLE events ADD COLUMN updated_at TIMESTAMPTZ',
+      'ALTER TABLE events ADD COLUMN deleted_at TIMESTAMPTZ',
+      'ALTER TABLE events ADD COLUMN deleted_by TEXT',
+      `CREATE TABLE event_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        action TEXT NOT NULL,
+        previous_event_type TEXT,
+        previous_payload JSONB,
+        event_type TEXT,
+        payload JSONB,
+        reason TEXT,
+        changed_by TEXT,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`,
+      'CREATE INDEX event_revisions_event_idx ON event_revisions (event_id)'
+    ]
+  },
+  {
+    version: 7,
+    name: 'event_attachments',
+    statements: [
+      `CREATE TABLE event_attachments (
+        id BIGSERIAL PRIMARY KEY,
+        event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        file_name TEXT,
+        content_type TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        data BYTEA NOT NULL,
+        thumbnail BYTEA NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (event_id, position)
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: 'users_and_sessions',
+    statements: [
+      `CREATE TABLE users (
+        id BIGSERIAL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        disabled_at TIMESTAMPTZ,
+        last_login_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`,
+      `CREATE TABLE sessions (
+        id BIGSERIAL PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: 'api_keys',
+    statements: [
+      `CREATE TABLE api_keys (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes JSONB NOT NULL,
+        created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      )`
+    ]
+  },
+  {
+    version: 10,
+    name: 'organisations',
+    // Existing rows land in the first organisation (DEFAULT_ORG_ID).
+    statements: [
+      `CREATE TABLE organisations (
+        id BIGSERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        qr_base_url TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`,
+      "INSERT INTO organisations (name) VALUES ('Main farm')",
+      'ALTER TABLE batches ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE batches ALTER COLUMN org_id DROP DEFAULT',
+      'ALTER TABLE users ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE users ALTER COLUMN org_id DROP DEFAULT',
+      'ALTER TABLE api_keys ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE api_keys ALTER COLUMN org_id DROP DEFAULT',
+      'ALTER TABLE sampling_plans ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE sampling_plans ALTER COLUMN org_id DROP DEFAULT',
+      'ALTER TABLE import_history ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE import_history ALTER COLUMN org_id DROP DEFAULT',
+      'ALTER TABLE current_import ADD COLUMN org_id BIGINT NOT NULL DEFAULT 1 REFERENCES organisations(id)',
+      'ALTER TABLE current_import ALTER COLUMN org_id DROP DEFAULT',
+      'CREATE INDEX batches_org_id ON batches (org_id)',
+      'CREATE UNIQUE INDEX current_import_org_id ON current_import (org_id)'
+    ]
+  },
+  {
+    version: 11,
+    name: 'event_idempotency_keys',
+    statements: [
+      'ALTER TABLE events ADD COLUMN idempotency_key TEXT',
+      'CREATE UNIQUE INDEX events_idempotency_key ON events (idempotency_key)'
+    ]
+  },
+  {
+    version: 12,
+    name: 'qr_tokens',
+    // 12 URL-safe characters (72 random bits) per plot, row and plant. The
+    // column default fills existing rows and every later insert.
+    statements: [
+      `ALTER TABLE plots ADD COLUMN qr_token TEXT NOT NULL
+        DEFAULT substr(translate(encode(uuid_send(gen_random_uuid()), 'base64'), '+/=', '-_'), 1, 12)`,
+      'CREATE UNIQUE INDEX plots_qr_token ON plots (qr_token)',
+      `ALTER TABLE rows ADD COLUMN qr_token TEXT NOT NULL
+        DEFAULT substr(translate(encode(uuid_send(gen_random_uuid()), 'base64'), '+/=', '-_'), 1, 12)`,
+      'CREATE UNIQUE INDEX rows_qr_token ON rows (qr_token)',
+      `ALTER TABLE plants ADD COLUMN qr_token TEXT NOT NULL
+        DEFAULT substr(translate(encode(uuid_send(gen_random_uuid()), 'base64'), '+/=', '-_'), 1, 12)`,
+      'CREATE UNIQUE INDEX plants_qr_token ON plants (qr_token)'
+    ]
+  },
+  {
+    version: 13,
+    name: 'plant_status',
+    // A replaced plant keeps its row for history but hands its position to the
+    // successor, so positions are only unique among plants not replaced.
+    statements: [
+      `ALTER TABLE plants ADD COLUMN status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'dead', 'removed', 'replaced'))`,
+      'ALTER TABLE plants ADD COLUMN status_changed_at TIMESTAMPTZ',
+      'ALTER TABLE plants ADD COLUMN replaces_plant_id BIGINT REFERENCES plants(id) ON DELETE SET NULL',
+      'ALTER TABLE plants DROP CONSTRAINT plants_plot_id_row_id_plant_no_key',
+      "CREATE UNIQUE INDEX plants_position ON plants (plot_id, row_id, plant_no) WHERE status <> 'replaced'"
+    ]
+  },
+  {
+    version: 14,
+    name: 'traits',
+    statements: [
+      `CREATE TABLE traits (
+        id BIGSERIAL PRIMARY KEY,
+        batch_id BIGINT NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        name TEXT NOT NULL,
+        unit TEXT,
+        data_type TEXT NOT NULL DEFAULT 'number',
+        min_value DOUBLE PRECISION,
+        max_value DOUBLE PRECISION,
+        expected_dates JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ,
+        UNIQUE (batch_id, key)
+      )`
+    ]
+  },
+  {
+    version: 15,
+    name: 'batch_design',
+    statements: [
+      'ALTER TABLE batches ADD COLUMN design JSONB'
+    ]
+  },
+  {
+    version: 16,
+    name: 'legacy_numeric_urls',
+    // Only labels printed before QR tokens carry numeric IDs, so only entities
+    // created before migration 12 keep the numeric scan URL redirect.
+    statements: [
+      'ALTER TABLE plots ADD COLUMN legacy_numeric_url BOOLEAN NOT NULL DEFAULT FALSE',
+      'ALTER TABLE rows ADD COLUMN legacy_numeric_url BOOLEAN NOT NULL DEFAULT FALSE',
+      'ALTER TABLE plants ADD COLUMN legacy_numeric_url BOOLEAN NOT NULL DEFAULT FALSE',
+      `UPDATE plots SET legacy_numeric_url = TRUE
+        WHERE created_at < (SELECT applied_at FROM schema_migrations WHERE version = 12)`,
+      `UPDATE rows SET legacy_numeric_url = TRUE
+        WHERE created_at < (SELECT applied_at FROM schema_migrations WHERE version = 12)`,
+      `UPDATE plants SET legacy_numeric_url = TRUE
+        WHERE created_at < (SELECT applied_at FROM schema_migrations WHERE version = 12)`
+    ]
+  },
+  {
+    version: 17,
+    name: 'legacy_json_stores',
+    // Local installs used to keep sampling plans and imports in JSON files.
+    statements: [],
+    run: importLegacyJsonStores
+  }
+];
+
+async function withTransaction(fn) {
+  const db = getPool();
+  if (typeof db.transaction === 'function') {
+    return db.transaction((tx) => fn(tx));
+  }
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    coreDbReady = false;
-    console.error('Core DB init failed:', error.message);
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // ignore rollback errors
+    }
     throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getAppliedMigrations() {
+  const db = getPool();
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => Number(row.version));
+}
+
+async function getSchemaStatus() {
+  const applied = await getAppliedMigrations();
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const unknown = applied.filter((version) => version > latest);
+  const pending = MIGRATIONS.filter((migration) => !applied.includes(migration.version));
+  return { applied, latest, unknown, pending };
+}
+
+async function runMigrations() {
+  const status = await getSchemaStatus();
+  if (status.unknown.length) {
+    throw new Error(`Database schema version ${Math.max(...status.unknown)} is newer than this server (${status.latest}).`);
+  }
+  for (const migration of status.pending) {
+    // Servers starting together queue on the lock; whoever waited skips what
+    // the first one already applied.
+    const applied = await withTransaction(async (tx) => {
+      await tx.query('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+      const existing = await tx.query('SELECT version FROM schema_migrations WHERE version = $1', [migration.version]);
+      if (existing.rows.length) return false;
+      for (const statement of migration.statements) {
+        await tx.query(statement);
+      }
+      if (migration.run) await migration.run(tx);
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+    if (applied) console.log(`Applied migration ${migration.version} (${migration.name})`);
   }
 }
 
-async function ensureCoreDbReady() {
-  if (!coreDbAvailable()) {
-    throw new Error('Database not configured. Set DATABASE_URL.');
+async function prepareSchema() {
+  if (AUTO_MIGRATE) {
+    await runMigrations();
+    return;
   }
-  if (!coreDbReady) {
-    await initCoreDb();
+  const status = await getSchemaStatus();
+  if (status.unknown.length) {
+    throw new Error(`Database schema version ${Math.max(...status.unknown)} is newer than this server (${status.latest}).`);
   }
-  if (!coreDbReady) {
-    throw new Error('Database initialization failed.');
+  if (status.pending.length) {
+    const names = status.pending.map((migration) => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`Database schema is out of date (pending: ${names}). Run "npm run migrate".`);
   }
 }
 
-async function persistExportToDb({ values, trackedPlants, samplingPlanId, includePlants }) {
-  await ensureCoreDbReady();
-  const db = getPool();
+async function ensureDbReady() {
+  if (schemaReady) return;
+  if (!schemaPromise) {
+    schemaPromise = prepareSchema()
+      .then(() => {
+        schemaReady = true;
+      })
+      .catch((error) => {
+        schemaPromise = null;
+        console.error('DB schema check failed:', error.message);
+        throw error;
+      });
+  }
+  await schemaPromise;
+}
+
+// Accounts and sessions. Passwords are scrypt hashes; the session cookie holds
+// a random token and only its SHA-256 is stored.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltText, hashText] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltText || !hashText) return false;
+  const expected = Buffer.from(hashText, 'base64');
+  const actual = await scrypt(password, Buffer.from(saltText, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    if (name) cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+  });
+  return cookies;
+}
+
+function setSessionCookie(req, res, token, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  if (req.secure) parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name || user.username,
+    role: user.role,
+    orgId: user.org_id,
+    disabledAt: user.disabled_at || null,
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at || null
+  };
+}
+
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+}
+
+function isSuperAdmin(user) {
+  return Boolean(user && !user.apiKey && user.role === ROLES.ADMIN && SUPER_ADMINS.includes(user.username));
+}
+
+async function createSession(db, req, res, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + ($3 || ' days')::interval)`,
+    [hashToken(token), user.id, String(SESSION_TTL_DAYS)]
+  );
+  await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+  setSessionCookie(req, res, token, SESSION_TTL_DAYS * 24 * 60 * 60);
+}
+
+// API key callers get a stand-in user with no role; requireRole checks their
+// scopes instead. created_by is "apikey:<id>:<name>": names repeat across
+// organisations and after a key is reissued, ids do not.
+async function loadApiKeyUser(req, res, next, key) {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const result = await db.query(
+      `SELECT api_keys.*, organisations.name AS org_name, organisations.qr_base_url AS org_qr_base_url
+       FROM api_keys
+       JOIN organisations ON api_keys.org_id = organisations.id
+       WHERE api_keys.key_hash = $1 AND api_keys.revoked_at IS NULL`,
+      [hashToken(key)]
+    );
+    if (!result.rows.length) {
+      return res.status(401).json({ errors: ['API key is invalid or has been revoked.'], warnings: [] });
+    }
+    const apiKey = result.rows[0];
+    await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [apiKey.id]);
+    req.user = {
+      id: null,
+      username: `apikey:${apiKey.id}:${apiKey.name}`,
+      role: null,
+      org_id: apiKey.org_id,
+      org_name: apiKey.org_name,
+      org_qr_base_url: apiKey.org_qr_base_url,
+      apiKey
+    };
+    next();
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+}
+
+// Attaches req.user when the request carries a live session or an API key.
+// Only a bad key rejects here; requireRole decides what anonymous requests may do.
+async function loadSessionUser(req, res, next) {
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer && req.path.startsWith('/api/')) return loadApiKeyUser(req, res, next, bearer[1]);
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return next();
+  try {
+    await ensureDbReady();
+    const result = await getPool().query(
+      `SELECT users.*, sessions.id AS session_id,
+         organisations.name AS org_name, organisations.qr_base_url AS org_qr_base_url
+       FROM sessions
+       JOIN users ON sessions.user_id = users.id
+       JOIN organisations ON users.org_id = organisations.id
+       WHERE sessions.token_hash = $1 AND sessions.expires_at > NOW() AND users.disabled_at IS NULL`,
+      [hashToken(token)]
+    );
+    if (result.rows.length) {
+      req.user = result.rows[0];
+      req.sessionId = result.rows[0].session_id;
+    }
+  } catch (error) {
+    console.error('DB error:', error.message);
+  }
+  next();
+}
+
+// Every batch, sampling plan and import belongs to the organisation of the
+// signed-in user or API key; routes filter on this.
+function getOrgId(req) {
+  return String(req.user.org_id);
+}
+
+// Label routes fall back to the organisation's QR base URL before the global one.
+function applyOrgQrBaseUrl(req, _res, next) {
+  if (req.body && !req.body.qrBaseUrl && req.user.org_qr_base_url) {
+    req.body.qrBaseUrl = req.user.org_qr_base_url;
+  }
+  next();
+}
+
+function isPageRequest(req) {
+  return req.method === 'GET' && !req.path.startsWith('/api/');
+}
+
+function requireRole(role, scope) {
+  return (req, res, next) => {
+    if (req.user && req.user.apiKey) {
+      if (scope && req.user.apiKey.scopes.includes(scope)) return next();
+      const message = scope ? `This API key lacks the ${scope} scope.` : 'API keys cannot use this route.';
+      return res.status(403).json({ errors: [message], warnings: [] });
+    }
+    if (!req.user) {
+      if (isPageRequest(req)) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ errors: ['Sign in required.'], warnings: [] });
+    }
+    if (!hasRole(req.user, role)) {
+      const message = `This needs the ${ROLE_LABELS[role]} role or higher.`;
+      if (isPageRequest(req)) return res.status(403).send(message);
+      return res.status(403).json({ errors: [message], warnings: [] });
+    }
+    next();
+  };
+}
+
+// Organisations are managed deployment-wide, so plain admins stay in their own.
+function requireSuperAdmin(req, res, next) {
+  if (isSuperAdmin(req.user)) return next();
+  return res.status(403).json({ errors: ['Only a super-admin can manage organisations.'], warnings: [] });
+}
+
+// The label builder itself is a static page, so gate it before express.static.
+function requireLoginForApp(req, res, next) {
+  if (req.method === 'GET' && (req.path === '/' || req.path === '/index.html') && !req.user) {
+    return res.redirect('/login');
+  }
+  next();
+}
+
+async function persistExportToDb({ orgId, values, trackedPlants, samplingPlanId, includePlants }) {
+  await ensureDbReady();
   const structure = getStructure(values.structureCode);
   const batchName = values.batchName ? String(values.batchName).trim() : null;
   const startDate = values.startDate ? String(values.startDate).trim() : null;
@@ -204,12 +857,12 @@ async function persistExportToDb({ values, trackedPlants, samplingPlanId, includ
   const plotIdMap = new Map();
   const rowIdMap = new Map();
   const plantIdMap = new Map();
+  const tokenMap = new Map();
 
-  await db.query('BEGIN');
-  try {
-    const batchResult = await db.query(
-      `INSERT INTO batches (site_name, crop_type, batch_name, start_date, structure_code, mode)
-       VALUES ($1, $2, $3, $4, $5, $6)
+  return withTransaction(async (tx) => {
+    const batchResult = await tx.query(
+      `INSERT INTO batches (site_name, crop_type, batch_name, start_date, structure_code, mode, org_id, design)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING id`,
       [
         values.siteName,
@@ -217,7 +870,9 @@ async function persistExportToDb({ values, trackedPlants, samplingPlanId, includ
         batchName || null,
         startDate || null,
         values.structureCode,
-        values.mode
+        values.mode,
+        orgId,
+        values.design ? JSON.stringify(values.design) : null
       ]
     );
     const batchId = batchResult.rows[0].id;
@@ -239,14 +894,15 @@ async function persistExportToDb({ values, trackedPlants, samplingPlanId, includ
         });
       }
 
-      const plotResult = await db.query(
+      const plotResult = await tx.query(
         `INSERT INTO plots (batch_id, plot_no, row_count, plant_count)
          VALUES ($1, $2, $3, $4)
-         RETURNING id`,
+         RETURNING id, qr_token`,
         [batchId, plotNo, rowCount, plantCount]
       );
       const plotId = plotResult.rows[0].id;
       plotIdMap.set(plotNo, plotId);
+      tokenMap.set(`plot-${plotId}`, plotResult.rows[0].qr_token);
 
       if (structure.hasRows) {
         const rows = Array.isArray(plot.rows) ? plot.rows : [];
@@ -254,13 +910,14 @@ async function persistExportToDb({ values, trackedPlants, samplingPlanId, includ
           const rowNo = parsePositiveInt(row.rowNo) || 0;
           if (!rowNo) continue;
           const rowPlantCount = parsePositiveInt(row.plantCount) || 0;
-          const rowResult = await db.query(
+          const rowResult = await tx.query(
             `INSERT INTO rows (plot_id, row_no, plant_count)
              VALUES ($1, $2, $3)
-             RETURNING id`,
+             RETURNING id, qr_token`,
             [plotId, rowNo, rowPlantCount]
           );
           rowIdMap.set(`${plotNo}-${rowNo}`, rowResult.rows[0].id);
+          tokenMap.set(`row-${rowResult.rows[0].id}`, rowResult.rows[0].qr_token);
         }
       }
     }
@@ -283,36 +940,228 @@ async function persistExportToDb({ values, trackedPlants, samplingPlanId, includ
         const plotId = plotIdMap.get(plotNo);
         if (!plotId) continue;
         const rowId = rowNo ? rowIdMap.get(`${plotNo}-${rowNo}`) : null;
-        const plantResult = await db.query(
+        const plantResult = await tx.query(
           `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason, sampling_plan_id)
            VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (plot_id, row_id, plant_no)
+           ON CONFLICT (plot_id, row_id, plant_no) WHERE status <> 'replaced'
            DO UPDATE SET tracking_reason = plants.tracking_reason
-           RETURNING id`,
+           RETURNING id, qr_token`,
           [plotId, rowId, plantNo, reason, samplingPlanId || null]
         );
         if (plantResult.rows.length) {
           const key = `${plotNo}-${rowNo || 0}-${plantNo}`;
           plantIdMap.set(key, plantResult.rows[0].id);
+          tokenMap.set(`plant-${plantResult.rows[0].id}`, plantResult.rows[0].qr_token);
         }
       }
     }
 
-    await db.query('COMMIT');
     return {
       batchId: batchResult.rows[0].id,
       plotIdMap,
       rowIdMap,
-      plantIdMap
+      plantIdMap,
+      tokenMap
     };
-  } catch (error) {
-    try {
-      await db.query('ROLLBACK');
-    } catch (rollbackError) {
-      // ignore rollback errors
-    }
-    throw error;
+  });
+}
+
+function getBatchLockError(batch, action) {
+  if (!batch || !batch.status || batch.status === BATCH_STATUSES.ACTIVE) return null;
+  return `Batch is ${batch.status}. Reopen it before ${action}.`;
+}
+
+// Matches every event logged against a plot, row or plant of batch $1.
+const BATCH_EVENTS_FILTER = `(
+  (entity_type = 'batch' AND entity_id = $1)
+  OR (entity_type = 'plot' AND entity_id IN (SELECT id FROM plots WHERE batch_id = $1))
+  OR (entity_type = 'row' AND entity_id IN (
+    SELECT rows.id FROM rows JOIN plots ON rows.plot_id = plots.id WHERE plots.batch_id = $1))
+  OR (entity_type = 'plant' AND entity_id IN (
+    SELECT plants.id FROM plants JOIN plots ON plants.plot_id = plots.id WHERE plots.batch_id = $1))
+)`;
+
+const EVENT_ENTITY_TYPES = ['batch', 'plot', 'row', 'plant'];
+
+// Entities outside the caller's organisation come back as not found.
+async function getEntityBatch(db, entityType, entityId, orgId) {
+  const joins = {
+    batch: 'WHERE batches.id = $1',
+    plot: 'JOIN plots ON plots.batch_id = batches.id WHERE plots.id = $1',
+    row: `JOIN plots ON plots.batch_id = batches.id
+          JOIN rows ON rows.plot_id = plots.id WHERE rows.id = $1`,
+    plant: `JOIN plots ON plots.batch_id = batches.id
+            JOIN plants ON plants.plot_id = plots.id WHERE plants.id = $1`
+  };
+  if (!joins[entityType]) return null;
+  const result = await db.query(
+    `SELECT batches.* FROM batches ${joins[entityType]} AND batches.org_id = $2`,
+    [entityId, orgId]
+  );
+  return result.rows[0] || null;
+}
+
+// Containing entities, nearest first: a plant's row (S3 only), plot and batch.
+async function getEntityAncestors(db, entityType, entityId) {
+  const queries = {
+    plot: 'SELECT NULL AS row_id, NULL AS plot_id, batch_id FROM plots WHERE id = $1',
+    row: `SELECT NULL AS row_id, rows.plot_id, plots.batch_id
+          FROM rows JOIN plots ON rows.plot_id = plots.id WHERE rows.id = $1`,
+    plant: `SELECT plants.row_id, plants.plot_id, plots.batch_id
+            FROM plants JOIN plots ON plants.plot_id = plots.id WHERE plants.id = $1`
+  };
+  if (!queries[entityType]) return [];
+  const result = await db.query(queries[entityType], [entityId]);
+  if (!result.rows.length) return [];
+  const found = result.rows[0];
+  return [
+    { entityType: 'row', entityId: found.row_id },
+    { entityType: 'plot', entityId: found.plot_id },
+    { entityType: 'batch', entityId: found.batch_id }
+  ].filter((ancestor) => ancestor.entityId);
+}
+
+// Events logged on an entity, optionally with those logged on its ancestors.
+// Ancestor events come back with inherited: true.
+async function loadEntityEvents(db, entityType, entityId, options = {}) {
+  const targets = [{ entityType, entityId }];
+  if (options.includeAncestors) {
+    targets.push(...await getEntityAncestors(db, entityType, entityId));
   }
+  const params = [];
+  const matches = targets.map((target) => {
+    params.push(target.entityType, target.entityId);
+    return `(entity_type = $${params.length - 1} AND entity_id = $${params.length})`;
+  });
+  let sql = `SELECT * FROM events WHERE (${matches.join(' OR ')})`;
+  if (!options.includeDeleted) sql += ' AND deleted_at IS NULL';
+  sql += ' ORDER BY created_at DESC';
+  if (options.limit) {
+    params.push(options.limit);
+    sql += ` LIMIT $${params.length}`;
+  }
+  const result = await db.query(sql, params);
+  const attachmentsByEvent = new Map();
+  if (result.rows.length) {
+    const attachmentResult = await db.query(
+      `SELECT event_id, position, file_name, content_type, size_bytes FROM event_attachments
+       WHERE event_id = ANY($1)
+       ORDER BY event_id, position`,
+      [result.rows.map((event) => event.id)]
+    );
+    attachmentResult.rows.forEach((attachment) => {
+      const key = String(attachment.event_id);
+      if (!attachmentsByEvent.has(key)) attachmentsByEvent.set(key, []);
+      attachmentsByEvent.get(key).push(describeAttachment(attachment.event_id, attachment));
+    });
+  }
+  return result.rows.map((event) => ({
+    ...event,
+    attachments: attachmentsByEvent.get(String(event.id)) || [],
+    inherited: event.entity_type !== entityType || String(event.entity_id) !== String(entityId)
+  }));
+}
+
+// Date.parse rolls 2026-02-31 over into March, so the date must round-trip.
+function isDateOnly(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+  const parsed = Date.parse(value);
+  return !Number.isNaN(parsed) && new Date(parsed).toISOString().slice(0, 10) === String(value);
+}
+
+// A date, or an ISO timestamp on a real date with an optional offset.
+function isDateOrTimestamp(value) {
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:T(?:[01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d+)?)?(?:Z|[+-](?:[01]\d|2[0-3]):[0-5]\d)?)?$/);
+  return Boolean(match) && isDateOnly(match[1]);
+}
+
+function formatDateOnly(value) {
+  if (!value) return '';
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1, 2)}-${pad(value.getDate(), 2)}`;
+}
+
+// Rebuilds the label source for a stored batch: a payload shaped like the
+// /api/pdf body plus the entity ID maps persistExportToDb would have returned.
+async function loadBatchForExport(batchId, orgId) {
+  const db = getPool();
+  const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, orgId]);
+  if (!batchResult.rows.length) return null;
+  const batch = batchResult.rows[0];
+  const structure = getStructure(batch.structure_code);
+
+  const plotsResult = await db.query(
+    'SELECT * FROM plots WHERE batch_id = $1 AND retired_at IS NULL ORDER BY plot_no',
+    [batchId]
+  );
+  const rowsResult = await db.query(
+    `SELECT rows.*, plots.plot_no FROM rows
+     JOIN plots ON rows.plot_id = plots.id
+     WHERE plots.batch_id = $1 AND plots.retired_at IS NULL AND rows.retired_at IS NULL
+     ORDER BY plots.plot_no, rows.row_no`,
+    [batchId]
+  );
+  const plantsResult = await db.query(
+    `SELECT plants.id, plants.qr_token, plants.plant_no, plants.status, plots.plot_no, rows.row_no
+     FROM plants
+     JOIN plots ON plants.plot_id = plots.id
+     LEFT JOIN rows ON plants.row_id = rows.id
+     WHERE plots.batch_id = $1 AND plants.retired_at IS NULL AND plants.status <> 'replaced'
+     ORDER BY plots.plot_no, rows.row_no, plants.plant_no`,
+    [batchId]
+  );
+
+  const plotIdMap = new Map();
+  const rowIdMap = new Map();
+  const plantIdMap = new Map();
+  const tokenMap = new Map();
+  const rowsByPlot = new Map();
+
+  rowsResult.rows.forEach((row) => {
+    rowIdMap.set(`${row.plot_no}-${row.row_no}`, row.id);
+    tokenMap.set(`row-${row.id}`, row.qr_token);
+    if (!rowsByPlot.has(row.plot_no)) rowsByPlot.set(row.plot_no, []);
+    rowsByPlot.get(row.plot_no).push({ rowNo: row.row_no, plantCount: row.plant_count });
+  });
+
+  const plots = plotsResult.rows.map((plot) => {
+    plotIdMap.set(plot.plot_no, plot.id);
+    tokenMap.set(`plot-${plot.id}`, plot.qr_token);
+    if (structure.hasRows) {
+      return { plotNo: plot.plot_no, rows: rowsByPlot.get(plot.plot_no) || [] };
+    }
+    if (structure.hasPlants) {
+      return { plotNo: plot.plot_no, plantCount: plot.plant_count };
+    }
+    return { plotNo: plot.plot_no };
+  });
+
+  const trackedPlants = plantsResult.rows.map((plant) => {
+    plantIdMap.set(`${plant.plot_no}-${plant.row_no || 0}-${plant.plant_no}`, plant.id);
+    tokenMap.set(`plant-${plant.id}`, plant.qr_token);
+    return { plot_no: plant.plot_no, row_no: plant.row_no, plant_no: plant.plant_no, status: plant.status };
+  });
+
+  return {
+    batch,
+    body: {
+      siteName: batch.site_name,
+      cropType: batch.crop_type,
+      batchName: batch.batch_name || '',
+      startDate: formatDateOnly(batch.start_date),
+      structureCode: batch.structure_code,
+      mode: batch.mode,
+      plots
+    },
+    trackedPlants: trackedPlants.length ? trackedPlants : null,
+    dbResult: {
+      batchId: batch.id,
+      plotIdMap,
+      rowIdMap,
+      plantIdMap,
+      tokenMap
+    }
+  };
 }
 
 function mmToPt(mm) {
@@ -349,95 +1198,155 @@ function ensureDataDir() {
   }
 }
 
-async function loadSamplingPlans() {
-  if (dbAvailable()) {
-    await initDb();
-    const db = getPool();
-    const result = await db.query('SELECT data FROM sampling_plans ORDER BY created_at DESC');
-    return result.rows.map((row) => row.data);
-  }
+// File-backed records carry orgId; ones written before organisations existed
+// belong to the default farm.
+function isOrgRecord(record, orgId) {
+  return String(record.orgId || DEFAULT_ORG_ID) === String(orgId);
+}
+
+function readJsonFile(file) {
   try {
-    if (!fs.existsSync(SAMPLING_FILE)) return [];
-    const raw = fs.readFileSync(SAMPLING_FILE, 'utf-8');
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
   } catch (error) {
-    return [];
+    return null;
   }
 }
 
-async function saveSamplingPlan(plan) {
-  if (dbAvailable()) {
-    await initDb();
-    const db = getPool();
-    await db.query(
-      'INSERT INTO sampling_plans (id, data) VALUES ($1, $2::jsonb)',
-      [plan.id, JSON.stringify(plan)]
-    );
-    return;
-  }
-  ensureDataDir();
-  const plans = await loadSamplingPlans();
-  plans.push(plan);
-  fs.writeFileSync(SAMPLING_FILE, JSON.stringify(plans, null, 2));
+function readJsonList(file) {
+  const parsed = readJsonFile(file);
+  return Array.isArray(parsed) ? parsed : [];
 }
 
-async function loadImportHistory() {
-  if (dbAvailable()) {
-    await initDb();
-    const db = getPool();
-    const result = await db.query('SELECT data FROM import_history ORDER BY uploaded_at DESC LIMIT 5');
-    return result.rows.map((row) => row.data);
-  }
-  try {
-    if (!fs.existsSync(IMPORTS_FILE)) return [];
-    const raw = fs.readFileSync(IMPORTS_FILE, 'utf-8');
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    return [];
-  }
+// The default farm kept the original current-import.json.
+function getLegacyCurrentImportFile(orgId) {
+  if (String(orgId) === DEFAULT_ORG_ID) return CURRENT_IMPORT_FILE;
+  return path.join(DATA_DIR, `current-import-${orgId}.json`);
 }
 
-async function saveImportHistory(record) {
-  if (dbAvailable()) {
-    await initDb();
-    const db = getPool();
-    await db.query(
-      'INSERT INTO import_history (id, data) VALUES ($1, $2::jsonb)',
-      [record.id, JSON.stringify(record)]
-    );
-    await db.query(
-      `DELETE FROM import_history
-       WHERE id IN (
-         SELECT id FROM import_history
-         ORDER BY uploaded_at DESC
-         OFFSET 5
-       );`
-    );
-    return;
-  }
-  ensureDataDir();
-  const history = await loadImportHistory();
-  history.unshift(record);
-  const trimmed = history.slice(0, 5);
-  fs.writeFileSync(IMPORTS_FILE, JSON.stringify(trimmed, null, 2));
+function toTimestampOrNull(value) {
+  return value && !Number.isNaN(Date.parse(value)) ? String(value) : null;
 }
 
-async function saveCurrentImport(data) {
-  if (dbAvailable()) {
-    await initDb();
-    const db = getPool();
-    await db.query(
-      `INSERT INTO current_import (id, data, updated_at)
-       VALUES ('current', $1::jsonb, NOW())
-       ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW();`,
-      [JSON.stringify(data)]
-    );
-    return;
+// Copies the JSON files local installs wrote before the embedded database
+// into their tables. The files are left as they are and not read again.
+async function importLegacyJsonStores(tx) {
+  if (getStorageBackend() !== 'local') return;
+  const plans = readJsonList(SAMPLING_FILE);
+  const history = readJsonList(IMPORTS_FILE);
+  const orgs = await tx.query('SELECT id FROM organisations');
+  for (const org of orgs.rows) {
+    const orgId = String(org.id);
+    for (const plan of plans.filter((record) => record.id && isOrgRecord(record, orgId))) {
+      await tx.query(
+        `INSERT INTO sampling_plans (id, created_at, data, org_id)
+         VALUES ($1, COALESCE($2::timestamptz, NOW()), $3::jsonb, $4)
+         ON CONFLICT (id) DO NOTHING`,
+        [String(plan.id), toTimestampOrNull(plan.createdAt), JSON.stringify(plan), orgId]
+      );
+    }
+    for (const record of history.filter((entry) => entry.id && isOrgRecord(entry, orgId))) {
+      await tx.query(
+        `INSERT INTO import_history (id, uploaded_at, data, org_id)
+         VALUES ($1, COALESCE($2::timestamptz, NOW()), $3::jsonb, $4)
+         ON CONFLICT (id) DO NOTHING`,
+        [String(record.id), toTimestampOrNull(record.uploadedAt), JSON.stringify(record), orgId]
+      );
+    }
+    const currentImport = readJsonFile(getLegacyCurrentImportFile(orgId));
+    if (currentImport) {
+      await tx.query(
+        `INSERT INTO current_import (id, org_id, data)
+         VALUES ($1, $2, $3::jsonb)
+         ON CONFLICT (org_id) DO NOTHING`,
+        [`current-${orgId}`, orgId, JSON.stringify(currentImport)]
+      );
+    }
   }
-  ensureDataDir();
-  fs.writeFileSync(CURRENT_IMPORT_FILE, JSON.stringify(data, null, 2));
+}
+
+async function loadSamplingPlans(orgId) {
+  await ensureDbReady();
+  const db = getPool();
+  const result = await db.query(
+    'SELECT data FROM sampling_plans WHERE org_id = $1 ORDER BY created_at DESC',
+    [orgId]
+  );
+  return result.rows.map((row) => row.data);
+}
+
+async function saveSamplingPlan(orgId, plan) {
+  await ensureDbReady();
+  const db = getPool();
+  await db.query(
+    'INSERT INTO sampling_plans (id, data, org_id) VALUES ($1, $2::jsonb, $3)',
+    [plan.id, JSON.stringify(plan), orgId]
+  );
+}
+
+async function loadSamplingPlan(orgId, planId) {
+  await ensureDbReady();
+  const db = getPool();
+  const result = await db.query(
+    'SELECT data FROM sampling_plans WHERE id = $1 AND org_id = $2',
+    [planId, orgId]
+  );
+  return result.rows.length ? result.rows[0].data : null;
+}
+
+async function deleteSamplingPlan(orgId, planId) {
+  await ensureDbReady();
+  const db = getPool();
+  const result = await db.query('DELETE FROM sampling_plans WHERE id = $1 AND org_id = $2', [planId, orgId]);
+  return result.rowCount > 0;
+}
+
+async function loadImportHistory(orgId) {
+  await ensureDbReady();
+  const db = getPool();
+  const result = await db.query(
+    'SELECT data FROM import_history WHERE org_id = $1 ORDER BY uploaded_at DESC LIMIT 5',
+    [orgId]
+  );
+  return result.rows.map((row) => row.data);
+}
+
+// Keeps the five most recent imports per organisation.
+async function saveImportHistory(orgId, record) {
+  await ensureDbReady();
+  const db = getPool();
+  await db.query(
+    'INSERT INTO import_history (id, data, org_id) VALUES ($1, $2::jsonb, $3)',
+    [record.id, JSON.stringify(record), orgId]
+  );
+  await db.query(
+    `DELETE FROM import_history
+     WHERE id IN (
+       SELECT id FROM import_history
+       WHERE org_id = $1
+       ORDER BY uploaded_at DESC
+       OFFSET 5
+     );`,
+    [orgId]
+  );
+}
+
+async function saveCurrentImport(orgId, data) {
+  await ensureDbReady();
+  const db = getPool();
+  await db.query(
+    `INSERT INTO current_import (id, org_id, data, updated_at)
+     VALUES ($1, $2, $3::jsonb, NOW())
+     ON CONFLICT (org_id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW();`,
+    [`current-${orgId}`, orgId, JSON.stringify(data)]
+  );
+}
+
+async function loadCurrentImport(orgId) {
+  await ensureDbReady();
+  const db = getPool();
+  const result = await db.query('SELECT data FROM current_import WHERE org_id = $1', [orgId]);
+  return result.rows.length ? result.rows[0].data : null;
 }
 
 function getStructure(code) {
@@ -493,6 +1402,37 @@ function buildRowIdFull(siteName, cropType, plotNo, rowNo) {
   return `${siteCode}-${cropCode}-${buildRowIdShort(plotNo, rowNo)}`;
 }
 
+// Inverse of the build*IdFull helpers. Site and crop codes may both contain
+// hyphens, so every possible split between them is returned; lookups match
+// on the combined prefix instead of picking one.
+function parseFullId(value) {
+  const fullId = String(value || '').trim().toUpperCase();
+  const match = fullId.match(/^(.+)-P(\d+)(?:-R(\d+))?(?:-T(\d+))?$/);
+  if (!match) return null;
+  const [, prefix, plotText, rowText, plantText] = match;
+  const parts = prefix.split('-');
+  if (parts.length < 2 || parts.some((part) => !/^[A-Z0-9]+$/.test(part))) return null;
+  const plotNo = parsePositiveInt(plotText);
+  const rowNo = rowText ? parsePositiveInt(rowText) : null;
+  const plantNo = plantText ? parsePositiveInt(plantText) : null;
+  if (!plotNo || (rowText && !rowNo) || (plantText && !plantNo)) return null;
+  const codeSplits = parts.slice(1).map((_, index) => ({
+    siteCode: parts.slice(0, index + 1).join('-'),
+    cropCode: parts.slice(index + 1).join('-')
+  }));
+  return {
+    fullId,
+    prefix,
+    siteCode: codeSplits.length === 1 ? codeSplits[0].siteCode : null,
+    cropCode: codeSplits.length === 1 ? codeSplits[0].cropCode : null,
+    codeSplits,
+    entityType: plantText ? 'plant' : rowText ? 'row' : 'plot',
+    plotNo,
+    rowNo,
+    plantNo
+  };
+}
+
 function parsePlots(body, structureCode) {
   const structure = getStructure(structureCode);
   if (Array.isArray(body.plots) && body.plots.length) {
@@ -639,7 +1579,8 @@ function* iterateLabels({
   structureCode,
   plots,
   exportPlot,
-  trackedPlants
+  trackedPlants,
+  includeDeadPlants
 }) {
   if (Array.isArray(trackedPlants) && trackedPlants.length) {
     const sortedTracked = [...trackedPlants].sort((a, b) => {
@@ -659,6 +1600,8 @@ function* iterateLabels({
       const plantNo = parsePositiveInt(tracked.plant_no ?? tracked.plantNo ?? tracked.plant);
       if (!plotNo || !plantNo) continue;
       if (exportPlot && exportPlot !== plotNo) continue;
+      // Only plants loaded from a batch carry a status.
+      if (!includeDeadPlants && tracked.status === PLANT_STATUSES.DEAD) continue;
       const plantIdShort = buildPlantIdShortFlexible(structureCode, plotNo, rowNo, plantNo);
       const plantIdFull = buildPlantIdFullFlexible(siteName, cropType, structureCode, plotNo, rowNo, plantNo);
       yield {
@@ -718,16 +1661,19 @@ function* iterateLabels({
   }
 }
 
-function* iteratePlots({ siteName, cropType, plots, exportPlot }) {
+function* iteratePlots({ siteName, cropType, plots, exportPlot, design }) {
   for (const plot of plots) {
     const plotNo = plot.plotNo;
     if (exportPlot && exportPlot !== plotNo) continue;
     const rows = Array.isArray(plot.rows) ? plot.rows : [];
+    const assignment = getDesignAssignment(design, plotNo);
     yield {
       siteName,
       cropType,
       plotNo,
       rowCount: rows.length,
+      treatment: assignment ? assignment.treatment : null,
+      block: assignment ? assignment.block : null,
       plotIdShort: buildPlotIdShort(plotNo),
       plotIdFull: buildPlotIdFull(siteName, cropType, plotNo)
     };
@@ -807,70 +1753,451 @@ function escapeHtml(value) {
     .replace(/'/g, '&#39;');
 }
 
-function renderEventsSection(entityType, entityId, events) {
-  const items = (events || []).map((event) => {
-    const when = new Date(event.created_at).toLocaleString('en-US');
-    const payload = event.payload && typeof event.payload === 'object' ? event.payload : null;
-    const note = payload && payload.note ? payload.note : null;
-    const extra = note ? note : payload ? JSON.stringify(payload) : '';
+function isValidEventTypeDefinition(definition) {
+  return Boolean(definition)
+    && typeof definition.label === 'string'
+    && Array.isArray(definition.fields)
+    && definition.fields.every((field) => field
+      && typeof field.key === 'string'
+      && typeof field.label === 'string'
+      && EVENT_FIELD_TYPES.includes(field.type)
+      && (field.type !== 'select' || Array.isArray(field.options)));
+}
+
+let cropEventTypesCache = { mtimeMs: null, types: CROP_EVENT_TYPES };
+
+// The file maps a crop name to event types shaped like CROP_EVENT_TYPES and is
+// merged over the built-in ones, so a crop can be added without a code change.
+// Re-read whenever the file changes; invalid types are skipped and logged.
+function loadCropEventTypes() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.existsSync(CROP_EVENT_TYPES_FILE) ? fs.statSync(CROP_EVENT_TYPES_FILE).mtimeMs : null;
+  } catch (error) {
+    mtimeMs = null;
+  }
+  if (mtimeMs === cropEventTypesCache.mtimeMs) return cropEventTypesCache.types;
+
+  const types = { ...CROP_EVENT_TYPES };
+  if (mtimeMs !== null) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(CROP_EVENT_TYPES_FILE, 'utf-8'));
+      Object.entries(parsed && typeof parsed === 'object' ? parsed : {}).forEach(([crop, cropTypes]) => {
+        const cropKey = crop.trim().toLowerCase();
+        Object.entries(cropTypes || {}).forEach(([key, definition]) => {
+          if (!isValidEventTypeDefinition(definition)) {
+            console.error(`Skipping invalid event type ${crop}/${key} in ${CROP_EVENT_TYPES_FILE}.`);
+            return;
+          }
+          types[cropKey] = { ...types[cropKey], [key]: definition };
+        });
+      });
+    } catch (error) {
+      console.error(`Could not read ${CROP_EVENT_TYPES_FILE}:`, error.message);
+    }
+  }
+  cropEventTypesCache = { mtimeMs, types };
+  return types;
+}
+
+// traits are the batch's trait definitions; each one becomes a plant event type.
+function getEventTypes(cropType, entityType, traits) {
+  const cropKey = String(cropType || '').trim().toLowerCase();
+  return {
+    ...EVENT_TYPES,
+    ...(loadCropEventTypes()[cropKey] || {}),
+    ...(entityType === 'plant' ? { ...PLANT_EVENT_TYPES, ...getTraitEventTypes(traits) } : {})
+  };
+}
+
+function getTraitEventTypes(traits) {
+  return Object.fromEntries((traits || []).map((trait) => [
+    `${TRAIT_EVENT_PREFIX}${trait.key}`,
+    {
+      label: trait.name,
+      fields: [
+        {
+          key: 'value',
+          label: 'Value',
+          type: trait.data_type,
+          unit: trait.unit || undefined,
+          min: trait.min_value ?? undefined,
+          max: trait.max_value ?? undefined,
+          required: true
+        },
+        { key: 'measuredOn', label: 'Measured on', type: 'date', expected: trait.expected_dates, required: true }
+      ]
+    }
+  ]));
+}
+
+async function loadBatchTraits(db, batchId) {
+  const result = await db.query('SELECT * FROM traits WHERE batch_id = $1 ORDER BY id', [batchId]);
+  return result.rows;
+}
+
+function isReplacementEvent(event) {
+  return event.event_type === PLANT_STATUS_EVENT && event.payload?.status === PLANT_STATUSES.REPLACED;
+}
+
+// A plant's status is whatever its latest remaining status event says.
+async function syncPlantStatus(db, plantId) {
+  await db.query(
+    `UPDATE plants SET
+       status = COALESCE((
+         SELECT payload->>'status' FROM events
+         WHERE entity_type = 'plant' AND entity_id = $1 AND event_type = $2 AND deleted_at IS NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ), $3),
+       status_changed_at = NOW()
+     WHERE id = $1`,
+    [plantId, PLANT_STATUS_EVENT, PLANT_STATUSES.ACTIVE]
+  );
+}
+
+function describeEventTypes(eventTypes) {
+  return Object.entries(eventTypes).map(([type, definition]) => ({
+    type,
+    label: definition.label,
+    fields: definition.fields
+  }));
+}
+
+function validateEventPayload(eventTypes, eventType, payload) {
+  const definition = eventTypes[eventType];
+  if (!definition) {
+    return {
+      errors: [`eventType must be one of: ${Object.keys(eventTypes).join(', ')}.`],
+      warnings: [],
+      payload: null
+    };
+  }
+  if (payload !== null && payload !== undefined && (typeof payload !== 'object' || Array.isArray(payload))) {
+    return { errors: ['payload must be an object.'], warnings: [], payload: null };
+  }
+  const source = payload || {};
+  const errors = [];
+  const warnings = [];
+  const normalized = {};
+
+  definition.fields.forEach((field) => {
+    const raw = source[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (field.required) errors.push(`${definition.label}: ${field.label} is required.`);
+      return;
+    }
+    if (field.type === 'number' || field.type === 'integer') {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${definition.label}: ${field.label} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}.`);
+        return;
+      }
+      if (field.min !== undefined && value < field.min) {
+        errors.push(`${definition.label}: ${field.label} must be at least ${field.min}.`);
+        return;
+      }
+      if (field.max !== undefined && value > field.max) {
+        errors.push(`${definition.label}: ${field.label} must be at most ${field.max}.`);
+        return;
+      }
+      normalized[field.key] = value;
+      return;
+    }
+    const value = String(raw).trim();
+    if (field.type === 'date') {
+      if (!isDateOnly(value)) {
+        errors.push(`${definition.label}: ${field.label} must be a date (YYYY-MM-DD).`);
+        return;
+      }
+      if (field.expected && field.expected.length && !field.expected.includes(value)) {
+        warnings.push(`${definition.label}: ${value} is not one of the expected dates (${field.expected.join(', ')}).`);
+      }
+    }
+    if (field.type === 'select' && !field.options.includes(value)) {
+      errors.push(`${definition.label}: ${field.label} must be one of ${field.options.join(', ')}.`);
+      return;
+    }
+    normalized[field.key] = value;
+  });
+
+  if (source.note !== undefined && source.note !== null && String(source.note).trim()) {
+    normalized.note = String(source.note).trim();
+  }
+  const known = new Set([...definition.fields.map((field) => field.key), 'note']);
+  const ignored = Object.keys(source).filter((key) => !known.has(key));
+  if (ignored.length) {
+    warnings.push(`Ignored fields not defined for ${eventType}: ${ignored.join(', ')}.`);
+  }
+
+  return { errors, warnings, payload: Object.keys(normalized).length ? normalized : null };
+}
+
+function formatEventDetails(event, eventTypes) {
+  const payload = event.payload && typeof event.payload === 'object' ? event.payload : null;
+  if (!payload) return '';
+  const definition = eventTypes && eventTypes[event.event_type];
+  if (!definition) {
+    return payload.note ? payload.note : JSON.stringify(payload);
+  }
+  const unitKeys = new Set(definition.fields.map((field) => field.unitKey).filter(Boolean));
+  const parts = definition.fields
+    .filter((field) => !unitKeys.has(field.key) && payload[field.key] !== undefined && payload[field.key] !== null)
+    .map((field) => {
+      const unit = field.unitKey ? payload[field.unitKey] : field.unit;
+      return `${field.label}: ${payload[field.key]}${unit ? ` ${unit}` : ''}`;
+    });
+  if (payload.note) parts.push(payload.note);
+  return parts.join(' · ');
+}
+
+function renderEventTypeOptions(eventTypes, selected) {
+  const options = Object.entries(eventTypes).map(([type, definition]) => `
+            <option value="${escapeHtml(type)}"${type === selected ? ' selected' : ''}>${escapeHtml(definition.label)}</option>`);
+  if (selected && !eventTypes[selected]) {
+    options.push(`
+            <option value="${escapeHtml(selected)}" selected>${escapeHtml(selected)}</option>`);
+  }
+  return options.join('');
+}
+
+// One hidden group of inputs per event type; the page script shows the group
+// matching the selected type and disables the rest.
+function renderEventFields(eventTypes, selected, payload) {
+  const values = payload || {};
+  return Object.entries(eventTypes).map(([type, definition]) => {
+    if (!definition.fields.length) return '';
+    const active = type === selected;
+    const inputs = definition.fields.map((field) => {
+      const value = values[field.key] !== undefined && values[field.key] !== null && active ? values[field.key] : '';
+      const placeholder = `${field.label}${field.unit ? ` (${field.unit})` : ''}${field.required ? '' : ' (optional)'}`;
+      const disabled = active ? '' : ' disabled';
+      if (field.type === 'select') {
+        const options = field.options.map((option) => `<option value="${escapeHtml(option)}"${option === value ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('');
+        return `<select name="${escapeHtml(field.key)}"${field.required ? ' required' : ''}${disabled}><option value="">${escapeHtml(field.label)}</option>${options}</select>`;
+      }
+      const isNumber = field.type === 'number' || field.type === 'integer';
+      const numberAttrs = isNumber
+        ? ` step="${field.type === 'integer' ? '1' : 'any'}"${field.min !== undefined ? ` min="${field.min}"` : ''}${field.max !== undefined ? ` max="${field.max}"` : ''}`
+        : '';
+      const inputType = isNumber ? 'number' : field.type === 'date' ? 'date' : 'text';
+      return `<input type="${inputType}" name="${escapeHtml(field.key)}" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}"${numberAttrs}${field.required ? ' required' : ''}${disabled} />`;
+    }).join('\n            ');
     return `
-      <div class="event">
-        <div class="event-meta">${escapeHtml(when)}</div>
-        <div class="event-type">${escapeHtml(event.event_type)}</div>
-        ${extra ? `<div class="event-note">${escapeHtml(extra)}</div>` : ''}
+          <div class="form-row event-fields${active ? '' : ' hidden'}" data-event-type="${escapeHtml(type)}">
+            ${inputs}
+          </div>`;
+  }).join('');
+}
+
+function renderEventItem(event, options = {}) {
+  const eventTypes = options.eventTypes || EVENT_TYPES;
+  const when = new Date(event.created_at).toLocaleString('en-US');
+  const payload = event.payload && typeof event.payload === 'object' ? event.payload : null;
+  const note = payload && payload.note ? payload.note : null;
+  const extra = formatEventDetails(event, eventTypes);
+  const typeLabel = eventTypes[event.event_type] ? eventTypes[event.event_type].label : event.event_type;
+  const metaParts = [when];
+  if (options.context) metaParts.push(options.context);
+  if (event.deleted_at) {
+    metaParts.push(`deleted ${new Date(event.deleted_at).toLocaleString('en-US')}${event.deleted_by ? ` by ${event.deleted_by}` : ''}`);
+  } else if (event.updated_at) {
+    metaParts.push('edited');
+  }
+  const photosHtml = (event.attachments || []).length
+    ? `
+        <div class="event-photos">
+          ${event.attachments.map((attachment) => `<a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener"><img src="${escapeHtml(attachment.thumbnailUrl)}" alt="${escapeHtml(attachment.fileName || 'Photo')}" loading="lazy" /></a>`).join('')}
+        </div>`
+    : '';
+  const editable = options.editable && !event.deleted_at;
+  const controlsHtml = editable
+    ? `
+        <div class="event-actions">
+          <button type="button" class="link" data-action="edit">Edit</button>
+          <button type="button" class="link" data-action="delete">Delete</button>
+        </div>
+        <form class="event-edit hidden">
+          <div class="form-row">
+            <select name="eventType" required>${renderEventTypeOptions(eventTypes, event.event_type)}
+            </select>
+          </div>${renderEventFields(eventTypes, event.event_type, payload)}
+          <div class="form-row">
+            <input type="text" name="note" value="${escapeHtml(note || '')}" placeholder="Optional notes" />
+            <button type="submit">Update</button>
+          </div>
+        </form>`
+    : '';
+  return `
+      <div class="event${event.deleted_at ? ' deleted' : ''}${options.inherited ? ' inherited' : ''}" data-event-id="${escapeHtml(event.id)}" data-payload="${escapeHtml(JSON.stringify(payload))}">
+        <div class="event-meta">${escapeHtml(metaParts.join(' · '))}</div>
+        <div class="event-type">${escapeHtml(typeLabel)}</div>
+        ${extra ? `<div class="event-note">${escapeHtml(extra)}</div>` : ''}${photosHtml}${controlsHtml}
       </div>
     `;
-  }).join('');
+}
+
+function getEventsLockMessage(user, batchStatus) {
+  if (!hasRole(user, ROLES.FIELD_WORKER)) return 'Your account can read this history but not log events.';
+  return getBatchLockError({ status: batchStatus }, 'logging events');
+}
+
+function renderEventsSection(entityType, entityId, events, options = {}) {
+  const eventTypes = getEventTypes(options.cropType, entityType, options.traits);
+  // Inherited events are edited on the page they were logged on; deleted ones
+  // are only worth showing there too.
+  const items = (events || [])
+    .filter((event) => !(event.inherited && event.deleted_at))
+    .map((event) => renderEventItem(event, event.inherited
+      ? { eventTypes, inherited: true, context: `Inherited from ${event.entity_type}` }
+      : { editable: !options.lockedMessage && canChangeEvent(options.user, event), eventTypes }))
+    .join('');
 
   const listHtml = items || '<div class="empty">No events yet.</div>';
 
-  return `
+  const formHtml = options.lockedMessage
+    ? `<div class="section"><div class="notice">${escapeHtml(options.lockedMessage)}</div></div>`
+    : `
     <div class="section">
       <h2>Log event</h2>
-      <form id="eventForm" data-entity-type="${escapeHtml(entityType)}" data-entity-id="${escapeHtml(entityId)}">
+      <div id="syncIndicator" class="sync-indicator hidden"></div>
+      <form id="eventForm" data-entity-type="${escapeHtml(entityType)}" data-entity-id="${escapeHtml(entityId)}" data-batch-id="${escapeHtml(options.batchId || '')}">
         <div class="form-row">
           <select name="eventType" required>
-            <option value="">Select event</option>
-            <option value="irrigation">Irrigation</option>
-            <option value="spray">Spray</option>
-            <option value="harvest">Harvest</option>
-            <option value="observation">Observation</option>
-            <option value="note">Note</option>
-          </select>
+            <option value="">Select event</option>${renderEventTypeOptions(eventTypes)}
+          </select>${options.batchId ? `
+          <select name="scope">
+            <option value="${escapeHtml(entityType)}">This ${escapeHtml(entityType)}</option>
+            <option value="batch">Whole batch</option>
+          </select>` : ''}
+        </div>${renderEventFields(eventTypes)}
+        <div class="form-row">
           <input type="text" name="note" placeholder="Optional notes" />
+          <input type="file" name="photos" accept="${EVENT_PHOTOS.contentTypes.join(',')}" capture="environment" multiple />
           <button type="submit">Save</button>
         </div>
       </form>
       <div id="eventStatus" class="status"></div>
-    </div>
+    </div>`;
+
+  return `
+    ${formHtml}
     <div class="section">
       <h2>History</h2>
-      <div class="events">
+      <div class="events" id="eventHistory">
         ${listHtml}
       </div>
+      <div id="historyStatus" class="status"></div>
     </div>
     <script>
       (() => {
         const form = document.getElementById('eventForm');
         const status = document.getElementById('eventStatus');
+        const history = document.getElementById('eventHistory');
+        const historyStatus = document.getElementById('historyStatus');
+        const syncFields = (target) => {
+          const type = target.elements.eventType.value;
+          target.querySelectorAll('.event-fields').forEach((group) => {
+            const active = group.dataset.eventType === type;
+            group.classList.toggle('hidden', !active);
+            group.querySelectorAll('input, select').forEach((input) => { input.disabled = !active; });
+          });
+        };
+        const collectPayload = (target, base) => {
+          const group = target.querySelector('.event-fields:not(.hidden)');
+          const payload = group ? {} : Object.assign({}, base);
+          if (group) {
+            group.querySelectorAll('input, select').forEach((input) => {
+              if (input.value !== '') payload[input.name] = input.value;
+            });
+          }
+          const note = target.elements.note.value.trim();
+          if (note) payload.note = note;
+          else delete payload.note;
+          return Object.keys(payload).length ? payload : null;
+        };
+        document.querySelectorAll('#eventForm, .event-edit').forEach((target) => {
+          target.elements.eventType.addEventListener('change', () => syncFields(target));
+        });
+        const sendChange = async (eventId, method, body) => {
+          historyStatus.textContent = 'Saving...';
+          try {
+            const response = await fetch('/api/events/' + eventId, {
+              method,
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+              const data = await response.json();
+              historyStatus.textContent = data.errors ? data.errors.join(', ') : 'Failed to save.';
+              return;
+            }
+            historyStatus.textContent = 'Saved.';
+            window.location.reload();
+          } catch (error) {
+            historyStatus.textContent = 'Failed to save.';
+          }
+        };
+        history.addEventListener('click', (event) => {
+          const button = event.target.closest('button[data-action]');
+          if (!button) return;
+          const item = button.closest('.event');
+          if (button.dataset.action === 'edit') {
+            item.querySelector('.event-edit').classList.toggle('hidden');
+            return;
+          }
+          if (!window.confirm('Delete this event? It stays in the audit trail.')) return;
+          const reason = window.prompt('Reason for deleting (optional)') || null;
+          sendChange(item.dataset.eventId, 'DELETE', { reason });
+        });
+        history.addEventListener('submit', (event) => {
+          event.preventDefault();
+          const editForm = event.target;
+          const item = editForm.closest('.event');
+          sendChange(item.dataset.eventId, 'PATCH', {
+            eventType: editForm.elements.eventType.value,
+            payload: collectPayload(editForm, JSON.parse(item.dataset.payload || 'null'))
+          });
+        });
         if (!form) return;
         form.addEventListener('submit', async (event) => {
           event.preventDefault();
-          const formData = new FormData(form);
-          const eventType = formData.get('eventType');
-          const note = formData.get('note');
+          const eventType = form.elements.eventType.value;
+          const wholeBatch = form.elements.scope && form.elements.scope.value === 'batch';
           status.textContent = 'Saving...';
+          const fields = {
+            entityType: wholeBatch ? 'batch' : form.dataset.entityType,
+            entityId: Number(wholeBatch ? form.dataset.batchId : form.dataset.entityId),
+            eventType,
+            payload: collectPayload(form, null)
+          };
+          const photos = Array.from(form.elements.photos.files);
+          const queue = window.eventQueue;
+          const entry = {
+            key: queue.newKey(),
+            fields,
+            photos,
+            label: form.elements.eventType.selectedOptions[0].textContent.trim()
+          };
+          // Without signal the event waits on this device and syncs later
+          // under the same key, so a retry can never log it twice.
+          const saveOffline = async () => {
+            try {
+              await queue.enqueue(entry);
+            } catch (error) {
+              status.textContent = 'Failed to save. This browser cannot keep events offline.';
+              return;
+            }
+            form.reset();
+            syncFields(form);
+            status.textContent = 'No connection. Saved on this device; it will sync automatically.';
+          };
+          if (!navigator.onLine) {
+            await saveOffline();
+            return;
+          }
           try {
-            const response = await fetch('/api/events', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                entityType: form.dataset.entityType,
-                entityId: Number(form.dataset.entityId),
-                eventType,
-                payload: note ? { note } : null
-              })
-            });
+            const response = await fetch('/api/events', queue.buildRequest(entry));
             if (!response.ok) {
               const data = await response.json();
               status.textContent = data.errors ? data.errors.join(', ') : 'Failed to save.';
@@ -879,7 +2206,7 @@ function renderEventsSection(entityType, entityId, events) {
             status.textContent = 'Saved.';
             window.location.reload();
           } catch (error) {
-            status.textContent = 'Failed to save.';
+            await saveOffline();
           }
         });
       })();
@@ -887,6 +2214,150 @@ function renderEventsSection(entityType, entityId, events) {
   `;
 }
 
+function describeTraitRange(trait) {
+  const hasMin = trait.min_value !== null && trait.min_value !== undefined;
+  const hasMax = trait.max_value !== null && trait.max_value !== undefined;
+  if (hasMin && hasMax) return `${trait.min_value}–${trait.max_value}`;
+  if (hasMin) return `at least ${trait.min_value}`;
+  if (hasMax) return `at most ${trait.max_value}`;
+  return null;
+}
+
+// One input per batch trait. Each filled value is logged as its own trait
+// event through the offline queue, so measuring works without signal too.
+function renderMeasurementSection(plantId, traits, events, lockedMessage) {
+  if (!traits.length) return '';
+  const today = formatDateOnly(new Date());
+  const latest = new Map();
+  (events || []).forEach((event) => {
+    if (event.deleted_at || event.inherited || !event.event_type.startsWith(TRAIT_EVENT_PREFIX)) return;
+    if (!latest.has(event.event_type)) latest.set(event.event_type, event.payload || {});
+  });
+  const items = traits.map((trait) => {
+    const eventType = `${TRAIT_EVENT_PREFIX}${trait.key}`;
+    const last = latest.get(eventType);
+    const nextDate = (trait.expected_dates || []).find((date) => date >= today);
+    const hints = [
+      trait.unit,
+      describeTraitRange(trait),
+      nextDate ? `next due ${nextDate}` : null,
+      last ? `last ${last.value}${trait.unit ? ` ${trait.unit}` : ''} on ${last.measuredOn}` : 'not measured yet'
+    ].filter(Boolean).join(' · ');
+    const attrs = [
+      `step="${trait.data_type === 'integer' ? '1' : 'any'}"`,
+      trait.min_value !== null ? `min="${trait.min_value}"` : '',
+      trait.max_value !== null ? `max="${trait.max_value}"` : ''
+    ].filter(Boolean).join(' ');
+    const input = lockedMessage
+      ? ''
+      : `
+          <div class="form-row">
+            <input type="number" name="${escapeHtml(eventType)}" data-label="${escapeHtml(trait.name)}" ${attrs} placeholder="${escapeHtml(`${trait.name}${trait.unit ? ` (${trait.unit})` : ''}`)}" />
+          </div>`;
+    return `
+          <div class="event-type">${escapeHtml(trait.name)}</div>
+          <div class="event-meta">${escapeHtml(hints)}</div>${input}`;
+  }).join('');
+
+  if (lockedMessage) {
+    return `
+    <div class="section">
+      <h2>Measurements</h2>
+      ${items}
+    </div>`;
+  }
+  return `
+    <div class="section">
+      <h2>Measurements</h2>
+      <form id="measureForm" data-plant-id="${escapeHtml(plantId)}">
+        <div class="form-row">
+          <input type="date" name="measuredOn" value="${escapeHtml(today)}" required />
+        </div>${items}
+        <div class="form-row">
+          <button type="submit">Save measurements</button>
+        </div>
+      </form>
+      <div id="measureStatus" class="status"></div>
+    </div>
+    <script>
+      (() => {
+        const form = document.getElementById('measureForm');
+        const status = document.getElementById('measureStatus');
+        form.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          const queue = window.eventQueue;
+          const measuredOn = form.elements.measuredOn.value;
+          const inputs = Array.from(form.querySelectorAll('input[data-label]')).filter((input) => input.value !== '');
+          if (!inputs.length) {
+            status.textContent = 'Enter at least one measurement.';
+            return;
+          }
+          status.textContent = 'Saving...';
+          const errors = [];
+          const warnings = [];
+          let queued = 0;
+          for (const input of inputs) {
+            const entry = {
+              key: queue.newKey(),
+              fields: {
+                entityType: 'plant',
+                entityId: Number(form.dataset.plantId),
+                eventType: input.name,
+                payload: { value: input.value, measuredOn }
+              },
+              photos: [],
+              label: input.dataset.label
+            };
+            let response = null;
+            if (navigator.onLine) {
+              try {
+                response = await fetch('/api/events', queue.buildRequest(entry));
+              } catch (error) {
+                response = null;
+              }
+            }
+            if (!response) {
+              try {
+                await queue.enqueue(entry);
+                queued += 1;
+                input.value = '';
+              } catch (error) {
+                errors.push(input.dataset.label + ': this browser cannot keep events offline.');
+              }
+              continue;
+            }
+            const data = await response.json();
+            if (!response.ok) {
+              errors.push(...(data.errors || [input.dataset.label + ': failed to save.']));
+              continue;
+            }
+            warnings.push(...(data.warnings || []));
+            input.value = '';
+          }
+          if (errors.length) {
+            status.textContent = errors.join(', ');
+            return;
+          }
+          if (queued) {
+            status.textContent = 'No connection. Saved on this device; it will sync automatically.';
+            return;
+          }
+          if (warnings.length) {
+            status.textContent = 'Saved. ' + warnings.join(' ');
+            return;
+          }
+          window.location.reload();
+        });
+      })();
+    </script>`;
+}
+
+function renderRetiredNotice(entity, label) {
+  if (!entity.retired_at) return '';
+  const when = new Date(entity.retired_at).toLocaleDateString('en-US');
+  return `<div class="notice">This ${escapeHtml(label)} was removed from the layout on ${escapeHtml(when)}. Its label is no longer in use.</div>`;
+}
+
 function drawDivider(doc, x1, x2, y) {
   doc.save();
   doc.strokeColor('#B0B0B0').lineWidth(0.5);
@@ -909,17 +2380,84 @@ function getEntityIdFromMaps(entityType, record, dbResult) {
   return null;
 }
 
-function getQrPayload({ fullId, body, entityType, entityId }) {
+// Scan page paths use the entity's QR token so they cannot be enumerated.
+function getEntityPagePath(entityType, qrToken) {
+  const prefix = entityType === 'plot' ? 'p' : entityType === 'row' ? 'r' : 't';
+  return `/${prefix}/${qrToken}`;
+}
+
+function parseQrSigningKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const secret = entry.slice(separator + 1);
+      if (separator < 1 || !/^[A-Za-z0-9]+$/.test(id) || !secret) {
+        throw new Error(`QR_SIGNING_KEYS entry ${index + 1} must look like keyId:secret.`);
+      }
+      return { id, secret };
+    });
+}
+
+// Labels with a QR token are signed over the token, which ties the signature
+// to one plot, row or plant; labels without one are signed over the full ID.
+function getQrSignedMessage(entityType, entityToken, fullId) {
+  return entityToken ? `${entityType}:${entityToken}` : `id:${fullId}`;
+}
+
+function computeQrMac(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('base64url').slice(0, QR_SIGNATURE_LENGTH);
+}
+
+function signQrMessage(message) {
+  if (!QR_SIGNING_KEYS.length) return null;
+  const [key] = QR_SIGNING_KEYS;
+  return `${key.id}.${computeQrMac(key.secret, message)}`;
+}
+
+// 'verified', 'invalid', or null when the label carries no signature.
+function verifyQrSignature(message, signature) {
+  if (!signature) return null;
+  const [keyId, mac] = String(signature).split('.');
+  const key = QR_SIGNING_KEYS.find((entry) => entry.id === keyId);
+  if (!key || !mac) return 'invalid';
+  const expected = Buffer.from(computeQrMac(key.secret, message));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length) return 'invalid';
+  return crypto.timingSafeEqual(expected, actual) ? 'verified' : 'invalid';
+}
+
+function renderSignatureNotice(status) {
+  if (status === 'verified') {
+    return '<div class="notice verified">Verified: this label was issued by this system.</div>';
+  }
+  if (status === 'invalid') {
+    return '<div class="notice invalid">Invalid signature: this label was not issued by this system, or it was copied or typed incorrectly.</div>';
+  }
+  return '';
+}
+
+function getEntityTokenFromMaps(entityType, record, dbResult) {
+  const entityId = getEntityIdFromMaps(entityType, record, dbResult);
+  if (!entityId || !dbResult.tokenMap) return null;
+  return dbResult.tokenMap.get(`${entityType}-${entityId}`) || null;
+}
+
+function getQrPayload({ fullId, body, entityType, entityToken }) {
   const mode = body.qrMode || DEFAULT_QR.mode;
+  const signature = signQrMessage(getQrSignedMessage(entityType, entityToken, fullId));
   if (mode === 'url') {
     const baseUrl = String(body.qrBaseUrl || DEFAULT_QR.baseUrl).replace(/\/+$/, '');
-    if (entityId) {
-      const prefix = entityType === 'plot' ? 'p' : entityType === 'row' ? 'r' : 't';
-      return `${baseUrl}/${prefix}/${entityId}`;
+    const query = signature ? `?sig=${signature}` : '';
+    if (entityToken) {
+      return `${baseUrl}${getEntityPagePath(entityType, entityToken)}${query}`;
     }
-    return `${baseUrl}/farm/${fullId}`;
+    return `${baseUrl}/farm/${fullId}${query}`;
   }
-  return fullId;
+  return signature ? `${fullId}~${signature}` : fullId;
 }
 
 function hashSeed(input) {
@@ -1056,42 +2594,166 @@ function buildSamplingPlan(values, planConfig) {
   return { seed, trackedPlants, samplingType };
 }
 
-function normalizeHeader(header) {
-  return String(header || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '_');
+function parseTreatmentCodes(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  return list.map((code) => String(code ?? '').trim()).filter(Boolean);
 }
 
-function parseExcelRows(buffer) {
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
-  const sheetNames = workbook.SheetNames || [];
-  const targetName = sheetNames.find((name) => normalizeHeader(name) === 'rows');
-  if (!targetName) {
-    return { ok: false, errors: ['Missing required sheet: ROWS.'] };
-  }
+// RCBD takes consecutive plots (by plot number) as blocks of one plot per
+// treatment and shuffles the treatments inside each block; CRD shuffles every
+// treatment replicate across the whole layout.
+function buildExperimentalDesign(values, designConfig) {
+  const designType = String(designConfig.designType || '').toLowerCase();
+  const treatments = parseTreatmentCodes(designConfig.treatments);
+  const replicates = parsePositiveInt(designConfig.replicates ?? designConfig.blocks);
+  const seed = designConfig.seed ? String(designConfig.seed) : Date.now().toString();
+  const rng = createRng(seed);
 
-  const sheet = workbook.Sheets[targetName];
-  const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
-  if (!rawRows.length) {
-    return { ok: false, errors: ['ROWS sheet is empty.'] };
+  if (!DESIGN_TYPES.includes(designType)) {
+    throw new Error('Design type must be rcbd or crd.');
+  }
+  if (treatments.length < 2) throw new Error('At least two treatments are required.');
+  if (new Set(treatments).size !== treatments.length) throw new Error('Treatment codes must be unique.');
+  const longCode = treatments.find((code) => code.length > MAX_TREATMENT_CODE_LENGTH);
+  if (longCode) {
+    throw new Error(`Treatment code "${longCode}" is longer than ${MAX_TREATMENT_CODE_LENGTH} characters.`);
+  }
+  if (!replicates) {
+    throw new Error(designType === 'rcbd' ? 'Number of blocks is required.' : 'Number of replicates is required.');
   }
 
-  const required = ['site_name', 'crop_type', 'plot_no', 'row_no', 'plant_count'];
-  const errors = [];
-  const mappedRows = [];
-  const siteValues = new Set();
-  const cropValues = new Set();
-  const seenPairs = new Set();
+  const unitLabel = designType === 'rcbd' ? 'blocks' : 'replicates';
+  const needed = treatments.length * replicates;
+  if (values.plots.length !== needed) {
+    throw new Error(`Design needs ${needed} plots (${treatments.length} treatments × ${replicates} ${unitLabel}); the layout has ${values.plots.length}.`);
+  }
 
-  rawRows.forEach((row, index) => {
-    const normalized = {};
-    Object.entries(row).forEach(([key, value]) => {
-      normalized[normalizeHeader(key)] = value;
+  const plotNos = values.plots.map((plot) => plot.plotNo).sort((a, b) => a - b);
+  const assignments = [];
+  if (designType === 'rcbd') {
+    for (let block = 0; block < replicates; block += 1) {
+      const order = sampleUnique(treatments.length, treatments.length, rng);
+      order.forEach((treatmentIndex, position) => {
+        assignments.push({
+          plotNo: plotNos[block * treatments.length + position],
+          block: block + 1,
+          treatment: treatments[treatmentIndex - 1]
+        });
+      });
+    }
+  } else {
+    const order = sampleUnique(needed, needed, rng);
+    order.forEach((unitIndex, position) => {
+      assignments.push({
+        plotNo: plotNos[position],
+        block: null,
+        treatment: treatments[(unitIndex - 1) % treatments.length]
+      });
     });
+  }
 
-    const missing = required.filter((col) => normalized[col] === '' || normalized[col] === null || normalized[col] === undefined);
-    if (missing.length) {
+  return { designType, treatments, replicates, seed, assignments };
+}
+
+function designCoversPlots(design, plotNos) {
+  if (!design || !Array.isArray(design.assignments)) return false;
+  const assigned = new Set(design.assignments.map((assignment) => assignment.plotNo));
+  return assigned.size === plotNos.length && plotNos.every((plotNo) => assigned.has(plotNo));
+}
+
+function getDesignAssignment(design, plotNo) {
+  if (!design || !Array.isArray(design.assignments)) return null;
+  return design.assignments.find((assignment) => assignment.plotNo === plotNo) || null;
+}
+
+// Builds the design requested with an export, if any, against the validated layout.
+function prepareExportDesign(body, values) {
+  if (!body.design) return { errors: [], design: null };
+  try {
+    return { errors: [], design: buildExperimentalDesign(values, body.design) };
+  } catch (error) {
+    return { errors: [error.message], design: null };
+  }
+}
+
+// Checks that a stored plan's tracked plants still exist in the given layout.
+// Plans saved with a plots snapshot must also match it exactly.
+function checkPlanMatchesStructure(plan, values) {
+  const errors = [];
+  if (plan.structureCode !== values.structureCode) {
+    errors.push(`Plan was generated for structure ${plan.structureCode}; current structure is ${values.structureCode}.`);
+    return errors;
+  }
+
+  const plotsByNo = new Map(values.plots.map((plot) => [plot.plotNo, plot]));
+  if (Array.isArray(plan.plots)) {
+    const savedValues = validatePayload(plan).values;
+    if (savedValues.plots.length !== values.plots.length) {
+      errors.push(`Plan was generated for ${savedValues.plots.length} plots; current layout has ${values.plots.length}.`);
+    }
+    savedValues.plots.forEach((savedPlot) => {
+      const plot = plotsByNo.get(savedPlot.plotNo);
+      if (!plot) return;
+      const savedRows = (savedPlot.rows || []).map((row) => `${row.rowNo}:${row.plantCount}`).join(',');
+      const rows = (plot.rows || []).map((row) => `${row.rowNo}:${row.plantCount}`).join(',');
+      if (savedRows !== rows || (savedPlot.plantCount || 0) !== (plot.plantCount || 0)) {
+        errors.push(`Plot ${savedPlot.plotNo} layout changed since the plan was generated.`);
+      }
+    });
+  }
+
+  (plan.trackedPlants || []).forEach((tracked) => {
+    const plotNo = parsePositiveInt(tracked.plot_no ?? tracked.plotNo ?? tracked.plot);
+    const rowNo = parsePositiveInt(tracked.row_no ?? tracked.rowNo ?? tracked.row);
+    const plantNo = parsePositiveInt(tracked.plant_no ?? tracked.plantNo ?? tracked.plant);
+    const plot = plotsByNo.get(plotNo);
+    const plantCount = rowNo
+      ? ((plot?.rows || []).find((row) => row.rowNo === rowNo) || {}).plantCount
+      : plot?.plantCount;
+    if (!plantCount || plantNo > plantCount) {
+      errors.push(`${buildPlantIdShortFlexible(values.structureCode, plotNo, rowNo, plantNo)} no longer exists in the current layout.`);
+    }
+  });
+
+  return Array.from(new Set(errors));
+}
+
+function normalizeHeader(header) {
+  return String(header || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+}
+
+function parseExcelRows(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheetNames = workbook.SheetNames || [];
+  const targetName = sheetNames.find((name) => normalizeHeader(name) === 'rows');
+  if (!targetName) {
+    return { ok: false, errors: ['Missing required sheet: ROWS.'] };
+  }
+
+  const sheet = workbook.Sheets[targetName];
+  const rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+  if (!rawRows.length) {
+    return { ok: false, errors: ['ROWS sheet is empty.'] };
+  }
+
+  const required = ['site_name', 'crop_type', 'plot_no', 'row_no', 'plant_count'];
+  const errors = [];
+  const mappedRows = [];
+  const siteValues = new Set();
+  const cropValues = new Set();
+  const seenPairs = new Set();
+
+  rawRows.forEach((row, index) => {
+    const normalized = {};
+    Object.entries(row).forEach(([key, value]) => {
+      normalized[normalizeHeader(key)] = value;
+    });
+
+    const missing = required.filter((col) => normalized[col] === '' || normalized[col] === null || normalized[col] === undefined);
+    if (missing.length) {
       errors.push(`Row ${index + 2}: Missing ${missing.join(', ')}.`);
       return;
     }
@@ -1263,8 +2925,13 @@ function drawFrontPlotLabel(doc, record, options) {
   const idY = pageHeightPt / 2 - mmToPt(10);
   doc.text(mainId, left, idY, { width, align: 'center' });
 
+  if (record.treatment) {
+    doc.font('Helvetica-Bold').fontSize(18);
+    doc.text(`Trt ${record.treatment}`, left, idY + idFontSize + mmToPt(2), { width, align: 'center' });
+  }
+
   const bottomPadPt = Math.max(mmToPt(8), safePt);
-  const rowsText = `Rows: ${record.rowCount}`;
+  const rowsText = record.block ? `Rows: ${record.rowCount} · Block ${record.block}` : `Rows: ${record.rowCount}`;
   const rowsTextY = pageHeightPt - bleedPt - bottomPadPt - mmToPt(4);
   drawDivider(doc, left, right, rowsTextY - mmToPt(3));
   doc.font('Helvetica').fontSize(10).fillColor('#333333');
@@ -1361,9 +3028,9 @@ function csvEscapeRow(values) {
     .join(',');
 }
 
-function buildCsvPlant({ values, exportPlot, trackedPlants }) {
+function buildCsvPlant({ values, exportPlot, trackedPlants, includeDeadPlants }) {
   const lines = ['site,crop,plot_no,row_no,plant_no,short_id,full_id'];
-  for (const record of iterateLabels({ ...values, exportPlot, trackedPlants })) {
+  for (const record of iterateLabels({ ...values, exportPlot, trackedPlants, includeDeadPlants })) {
     lines.push(
       csvEscapeRow([
         record.siteName,
@@ -1397,22 +3064,23 @@ function buildCsvRow({ values, exportPlot }) {
 }
 
 function buildCsvPlot({ values, exportPlot }) {
-  const lines = ['site,crop,plot_no,row_count,plot_id'];
+  const hasDesign = Boolean(values.design);
+  const lines = [hasDesign ? 'site,crop,plot_no,row_count,plot_id,treatment,block' : 'site,crop,plot_no,row_count,plot_id'];
   for (const record of iteratePlots({ ...values, exportPlot })) {
-    lines.push(
-      csvEscapeRow([
-        record.siteName,
-        record.cropType,
-        record.plotNo,
-        record.rowCount,
-        record.plotIdFull
-      ])
-    );
+    const fields = [
+      record.siteName,
+      record.cropType,
+      record.plotNo,
+      record.rowCount,
+      record.plotIdFull
+    ];
+    if (hasDesign) fields.push(record.treatment || '', record.block || '');
+    lines.push(csvEscapeRow(fields));
   }
   return lines.join('\n');
 }
 
-app.get('/api/import-template', (_req, res) => {
+app.get('/api/import-template', requireRole(ROLES.VIEWER), (_req, res) => {
   const worksheet = XLSX.utils.aoa_to_sheet([
     ['site_name', 'crop_type', 'plot_no', 'row_no', 'plant_count'],
     ['TERLABAD', 'MARIGOLD', 1, 1, 25]
@@ -1425,12 +3093,69 @@ app.get('/api/import-template', (_req, res) => {
   res.send(buffer);
 });
 
-app.get('/api/imports', async (_req, res) => {
-  const history = await loadImportHistory();
-  res.json({ history });
+function buildCurrentImport(record) {
+  return {
+    ...record.data,
+    structureCode: 'S3',
+    mode: MODES.STANDARD,
+    importId: record.id,
+    fileName: record.fileName,
+    uploadedAt: record.uploadedAt,
+    counts: record.counts
+  };
+}
+
+function toImportResponse(current) {
+  return {
+    importId: current.importId,
+    fileName: current.fileName,
+    uploadedAt: current.uploadedAt,
+    siteName: current.siteName,
+    cropType: current.cropType,
+    plots: current.plots,
+    counts: current.counts,
+    structureCode: current.structureCode,
+    mode: current.mode
+  };
+}
+
+app.get('/api/imports', requireRole(ROLES.VIEWER), async (req, res) => {
+  const history = await loadImportHistory(getOrgId(req));
+  res.json({
+    history: history.map(({ data, ...entry }) => ({ ...entry, restorable: Boolean(data) }))
+  });
+});
+
+app.get('/api/import/current', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const current = await loadCurrentImport(getOrgId(req));
+    res.json({ current: current ? toImportResponse(current) : null });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/imports/:id/apply', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  try {
+    const history = await loadImportHistory(getOrgId(req));
+    const record = history.find((entry) => entry.id === req.params.id);
+    if (!record) {
+      return res.status(404).json({ errors: ['Import not found.'], warnings: [] });
+    }
+    if (!record.data) {
+      return res.status(400).json({ errors: ['This import has no stored layout. Upload the file again.'], warnings: [] });
+    }
+    const current = buildCurrentImport(record);
+    await saveCurrentImport(getOrgId(req), current);
+    res.json(toImportResponse(current));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
 });
 
-app.post('/api/import', upload.single('file'), async (req, res) => {
+app.post('/api/import', requireRole(ROLES.SUPERVISOR), upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ errors: ['Excel file is required.'], warnings: [] });
   }
@@ -1446,142 +3171,204 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
     uploadedAt: new Date().toISOString(),
     siteName: parsed.data.siteName,
     cropType: parsed.data.cropType,
-    counts: parsed.counts
+    counts: parsed.counts,
+    data: parsed.data
   };
+  const current = buildCurrentImport(record);
   try {
-    await saveImportHistory(record);
-    await saveCurrentImport({
-      ...parsed.data,
-      structureCode: 'S3',
-      mode: MODES.STANDARD,
-      importId,
-      uploadedAt: record.uploadedAt
-    });
+    await saveImportHistory(getOrgId(req), record);
+    await saveCurrentImport(getOrgId(req), current);
   } catch (error) {
     console.error('DB error:', error.message);
     return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 
-  res.json({
-    importId,
-    siteName: parsed.data.siteName,
-    cropType: parsed.data.cropType,
-    plots: parsed.data.plots,
-    counts: parsed.counts,
-    structureCode: 'S3',
-    mode: MODES.STANDARD
-  });
+  res.json(toImportResponse(current));
 });
 
-app.post('/api/csv', (req, res) => {
-  const validation = validatePayload(req.body || {});
-  if (!validation.ok) {
-    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
-  }
-
-  const exportPlot = req.body.exportPlot && req.body.exportPlot !== 'all'
-    ? parsePositiveInt(req.body.exportPlot)
+function getExportPlot(body) {
+  return body.exportPlot && body.exportPlot !== 'all'
+    ? parsePositiveInt(body.exportPlot)
     : null;
+}
 
-  if (exportPlot && exportPlot > validation.values.totalPlots) {
-    return res.status(400).json({ errors: ['Selected plot is outside the available range.'], warnings: [] });
+function prepareCsvExport({ body, values, trackedPlants }) {
+  const exportPlot = getExportPlot(body);
+  if (exportPlot && exportPlot > values.totalPlots) {
+    return { errors: ['Selected plot is outside the available range.'] };
   }
 
-  const labelType = req.body.labelType || 'plant';
+  const labelType = body.labelType || 'plant';
   if (labelType === 'all') {
-    return res.status(400).json({ errors: ['CSV export does not support combined labels. Export each label type separately.'], warnings: [] });
+    return { errors: ['CSV export does not support combined labels. Export each label type separately.'] };
   }
-  if (labelType === 'plant' && !hasPlantTracking(validation.values.structureCode, validation.values.mode)) {
-    return res.status(400).json({ errors: ['Plant labels are not enabled for this structure/mode.'], warnings: [] });
+  if (labelType === 'plant' && !hasPlantTracking(values.structureCode, values.mode)) {
+    return { errors: ['Plant labels are not enabled for this structure/mode.'] };
   }
-  if (labelType === 'row' && !getStructure(validation.values.structureCode).hasRows) {
-    return res.status(400).json({ errors: ['Row labels are not available for this structure.'], warnings: [] });
+  if (labelType === 'row' && !getStructure(values.structureCode).hasRows) {
+    return { errors: ['Row labels are not available for this structure.'] };
   }
-
-  const trackedPlants = Array.isArray(req.body.trackedPlants) ? req.body.trackedPlants : null;
-  if (labelType === 'plant' && validation.values.mode === MODES.RESEARCH && (!trackedPlants || trackedPlants.length === 0)) {
-    return res.status(400).json({ errors: ['Generate a sampling plan before exporting plant labels.'], warnings: [] });
+  if (labelType === 'plant' && values.mode === MODES.RESEARCH && (!trackedPlants || trackedPlants.length === 0)) {
+    return { errors: ['Generate a sampling plan before exporting plant labels.'] };
   }
 
   let csv = '';
   if (labelType === 'plot') {
-    csv = buildCsvPlot({ values: validation.values, exportPlot });
+    csv = buildCsvPlot({ values, exportPlot });
   } else if (labelType === 'row') {
-    csv = buildCsvRow({ values: validation.values, exportPlot });
+    csv = buildCsvRow({ values, exportPlot });
   } else {
-    csv = buildCsvPlant({ values: validation.values, exportPlot, trackedPlants });
+    csv = buildCsvPlant({ values, exportPlot, trackedPlants, includeDeadPlants: Boolean(body.includeDeadPlants) });
   }
+  return { errors: [], labelType, csv };
+}
+
+function sendCsv(res, { labelType, csv }) {
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename="farm-${labelType}-labels.csv"`);
   res.send(csv);
-});
-
-app.post('/api/pdf', async (req, res) => {
-  const validation = validatePayload(req.body || {});
-  if (!validation.ok) {
-    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
-  }
+}
 
-  const labelType = req.body.labelType || 'plant';
-  const exportPlot = req.body.exportPlot && req.body.exportPlot !== 'all'
-    ? parsePositiveInt(req.body.exportPlot)
-    : null;
+function preparePdfExport({ body, values, trackedPlants }) {
+  const labelType = body.labelType || 'plant';
+  const exportPlot = getExportPlot(body);
 
-  if (exportPlot && exportPlot > validation.values.totalPlots) {
-    return res.status(400).json({ errors: ['Selected plot is outside the available range.'], warnings: [] });
+  if (exportPlot && exportPlot > values.totalPlots) {
+    return { errors: ['Selected plot is outside the available range.'] };
   }
 
-  const layout = getLayoutOptions(req.body || {});
-  const structure = getStructure(validation.values.structureCode);
-  if (labelType === 'plant' && !hasPlantTracking(validation.values.structureCode, validation.values.mode)) {
-    return res.status(400).json({ errors: ['Plant labels are not enabled for this structure/mode.'], warnings: [] });
+  const layout = getLayoutOptions(body);
+  const structure = getStructure(values.structureCode);
+  if (labelType === 'plant' && !hasPlantTracking(values.structureCode, values.mode)) {
+    return { errors: ['Plant labels are not enabled for this structure/mode.'] };
   }
   if (labelType === 'row' && !structure.hasRows) {
-    return res.status(400).json({ errors: ['Row labels are not available for this structure.'], warnings: [] });
+    return { errors: ['Row labels are not available for this structure.'] };
   }
   if (layout.layoutMode === 'sheet' && labelType !== 'plant') {
-    return res.status(400).json({ errors: ['Sheet mode is only supported for plant labels.'], warnings: [] });
+    return { errors: ['Sheet mode is only supported for plant labels.'] };
   }
 
   const labelTypes = labelType === 'all' ? ['plot', 'row', 'plant'] : [labelType];
   const allowedLabelTypes = labelTypes.filter((type) => {
     if (type === 'row') return structure.hasRows;
-    if (type === 'plant') return hasPlantTracking(validation.values.structureCode, validation.values.mode);
+    if (type === 'plant') return hasPlantTracking(values.structureCode, values.mode);
     return true;
   });
   const includePlants = allowedLabelTypes.includes('plant');
-  const trackedPlants = Array.isArray(req.body.trackedPlants) ? req.body.trackedPlants : null;
-  if (includePlants && validation.values.mode === MODES.RESEARCH && (!trackedPlants || trackedPlants.length === 0)) {
-    return res.status(400).json({ errors: ['Generate a sampling plan before exporting plant labels.'], warnings: [] });
+  if (includePlants && values.mode === MODES.RESEARCH && (!trackedPlants || trackedPlants.length === 0)) {
+    return { errors: ['Generate a sampling plan before exporting plant labels.'] };
   }
 
-  let dbResult = null;
-  try {
-    dbResult = await persistExportToDb({
-      values: validation.values,
-      trackedPlants,
-      samplingPlanId: req.body.samplingPlanId,
-      includePlants
-    });
-  } catch (error) {
-    console.error('DB error:', error.message);
-    return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
-  }
+  return {
+    errors: [],
+    labelType,
+    exportPlot,
+    layout,
+    allowedLabelTypes,
+    includePlants,
+    includeDeadPlants: Boolean(body.includeDeadPlants)
+  };
+}
 
-  const dbSaved = Boolean(dbResult && dbResult.batchId);
-  res.setHeader('X-DB-Saved', dbSaved ? 'yes' : 'no');
-  if (dbSaved) {
-    res.setHeader('X-Batch-Id', String(dbResult.batchId));
-  }
+function getSheetGeometry(layout) {
+  const pageWidthPt = mmToPt(layout.preset.widthMm);
+  const pageHeightPt = mmToPt(layout.preset.heightMm);
+  const labelWidthPt = mmToPt(layout.labelWidthMm);
+  const labelHeightPt = mmToPt(layout.labelHeightMm);
+  const marginLeft = mmToPt(layout.marginsMm.left);
+  const marginRight = mmToPt(layout.marginsMm.right);
+  const marginTop = mmToPt(layout.marginsMm.top);
+  const marginBottom = mmToPt(layout.marginsMm.bottom);
+  const gapX = mmToPt(layout.gapsMm.x);
+  const gapY = mmToPt(layout.gapsMm.y);
+
+  const usableWidth = pageWidthPt - marginLeft - marginRight;
+  const usableHeight = pageHeightPt - marginTop - marginBottom;
+  return {
+    pageWidthPt,
+    pageHeightPt,
+    labelWidthPt,
+    labelHeightPt,
+    marginLeft,
+    marginTop,
+    gapX,
+    gapY,
+    columns: Math.floor((usableWidth + gapX) / (labelWidthPt + gapX)),
+    rows: Math.floor((usableHeight + gapY) / (labelHeightPt + gapY))
+  };
+}
 
+function getLayoutErrors(layout) {
   if (layout.layoutMode === 'single') {
     if (layout.safeMarginMm < 0) {
-      return res.status(400).json({ errors: ['Safe margin cannot be negative.'], warnings: [] });
+      return ['Safe margin cannot be negative.'];
     }
-    const bleedMm = layout.includeBleed ? 3 : 0;
     if (layout.safeMarginMm * 2 >= layout.preset.widthMm || layout.safeMarginMm * 2 >= layout.preset.heightMm) {
-      return res.status(400).json({ errors: ['Safe margin is too large for the label size.'], warnings: [] });
+      return ['Safe margin is too large for the label size.'];
     }
+    return [];
+  }
+
+  if (layout.labelWidthMm <= 0 || layout.labelHeightMm <= 0) {
+    return ['Label width and height must be greater than 0.'];
+  }
+  if (Object.values(layout.marginsMm).some((value) => value < 0)) {
+    return ['Margins cannot be negative.'];
+  }
+  if (Object.values(layout.gapsMm).some((value) => value < 0)) {
+    return ['Gaps cannot be negative.'];
+  }
+  const { columns, rows } = getSheetGeometry(layout);
+  if (columns < 1 || rows < 1) {
+    return ['Label size or margins are too large for the selected paper size.'];
+  }
+  return [];
+}
+
+function getLabelFullId(type, record) {
+  if (type === 'plot') return record.plotIdFull;
+  if (type === 'row') return record.rowIdFull;
+  return record.plantIdFull;
+}
+
+function* iterateExportLabels({ values, exportPlot, allowedLabelTypes, trackedPlants, includeDeadPlants }) {
+  for (const type of allowedLabelTypes) {
+    const iterator = type === 'plot'
+      ? iteratePlots({ ...values, exportPlot })
+      : type === 'row'
+        ? iterateRows({ ...values, exportPlot, structureCode: values.structureCode })
+        : iterateLabels({
+          ...values,
+          exportPlot,
+          structureCode: values.structureCode,
+          trackedPlants,
+          includeDeadPlants
+        });
+    for (const record of iterator) {
+      yield { type, record };
+    }
+  }
+}
+
+// labels yields { type, record } pairs; sheet layout only receives plant records.
+// Resolves true when every label was rendered.
+async function sendLabelsPdf(res, {
+  body,
+  warnings,
+  dbResult,
+  labelType,
+  layout,
+  labels
+}) {
+  const layoutErrors = getLayoutErrors(layout);
+  if (layoutErrors.length) {
+    res.status(400).json({ errors: layoutErrors, warnings });
+    return false;
+  }
+
+  if (layout.layoutMode === 'single') {
+    const bleedMm = layout.includeBleed ? 3 : 0;
     const pageWidthPt = mmToPt(layout.preset.widthMm + bleedMm * 2);
     const pageHeightPt = mmToPt(layout.preset.heightMm + bleedMm * 2);
     res.setHeader('Content-Type', 'application/pdf');
@@ -1592,110 +3379,72 @@ app.post('/api/pdf', async (req, res) => {
 
     let index = 0;
     try {
-      for (const type of allowedLabelTypes) {
-        const iterator = type === 'plot'
-          ? iteratePlots({ ...validation.values, exportPlot })
-          : type === 'row'
-            ? iterateRows({ ...validation.values, exportPlot, structureCode: validation.values.structureCode })
-            : iterateLabels({
-              ...validation.values,
-              exportPlot,
-              structureCode: validation.values.structureCode,
-              trackedPlants
-            });
-
-        for (const record of iterator) {
-          if (index > 0) doc.addPage();
-          if (type === 'plot') {
-            drawFrontPlotLabel(doc, record, {
-              pageWidthPt,
-              pageHeightPt,
-              bleedMm,
-              safeMarginMm: layout.safeMarginMm
-            });
-          } else if (type === 'row') {
-            drawFrontRowLabel(doc, record, {
-              pageWidthPt,
-              pageHeightPt,
-              bleedMm,
-              safeMarginMm: layout.safeMarginMm
-            });
-          } else {
-            drawFrontPlantLabel(doc, record, {
-              pageWidthPt,
-              pageHeightPt,
-              bleedMm,
-              safeMarginMm: layout.safeMarginMm
-            });
-          }
-
-          const fullId = type === 'plot'
-            ? record.plotIdFull
-            : type === 'row'
-              ? record.rowIdFull
-              : record.plantIdFull;
-          const entityId = getEntityIdFromMaps(type, record, dbResult);
-          const qrPayload = getQrPayload({
-            fullId,
-            body: req.body || {},
-            entityType: type,
-            entityId
+      for (const { type, record } of labels) {
+        if (index > 0) doc.addPage();
+        if (type === 'plot') {
+          drawFrontPlotLabel(doc, record, {
+            pageWidthPt,
+            pageHeightPt,
+            bleedMm,
+            safeMarginMm: layout.safeMarginMm
           });
-
-          doc.addPage();
-          await drawBackLabel(doc, fullId, qrPayload, {
+        } else if (type === 'row') {
+          drawFrontRowLabel(doc, record, {
+            pageWidthPt,
+            pageHeightPt,
+            bleedMm,
+            safeMarginMm: layout.safeMarginMm
+          });
+        } else {
+          drawFrontPlantLabel(doc, record, {
             pageWidthPt,
             pageHeightPt,
             bleedMm,
             safeMarginMm: layout.safeMarginMm
           });
-          index += 1;
         }
+
+        const fullId = getLabelFullId(type, record);
+        const qrPayload = getQrPayload({
+          fullId,
+          body,
+          entityType: type,
+          entityToken: getEntityTokenFromMaps(type, record, dbResult)
+        });
+
+        doc.addPage();
+        await drawBackLabel(doc, fullId, qrPayload, {
+          pageWidthPt,
+          pageHeightPt,
+          bleedMm,
+          safeMarginMm: layout.safeMarginMm
+        });
+        index += 1;
       }
 
       doc.end();
     } catch (error) {
       doc.end();
       res.status(500).end();
+      return false;
     }
-    return;
-  }
-
-  if (layout.labelWidthMm <= 0 || layout.labelHeightMm <= 0) {
-    return res.status(400).json({ errors: ['Label width and height must be greater than 0.'], warnings: [] });
-  }
-  if (Object.values(layout.marginsMm).some((value) => value < 0)) {
-    return res.status(400).json({ errors: ['Margins cannot be negative.'], warnings: [] });
-  }
-  if (Object.values(layout.gapsMm).some((value) => value < 0)) {
-    return res.status(400).json({ errors: ['Gaps cannot be negative.'], warnings: [] });
-  }
-
-  const pageWidthPt = mmToPt(layout.preset.widthMm);
-  const pageHeightPt = mmToPt(layout.preset.heightMm);
-  const labelWidthPt = mmToPt(layout.labelWidthMm);
-  const labelHeightPt = mmToPt(layout.labelHeightMm);
-  const marginLeft = mmToPt(layout.marginsMm.left);
-  const marginRight = mmToPt(layout.marginsMm.right);
-  const marginTop = mmToPt(layout.marginsMm.top);
-  const marginBottom = mmToPt(layout.marginsMm.bottom);
-  const gapX = mmToPt(layout.gapsMm.x);
-  const gapY = mmToPt(layout.gapsMm.y);
-
-  const usableWidth = pageWidthPt - marginLeft - marginRight;
-  const usableHeight = pageHeightPt - marginTop - marginBottom;
-  const columns = Math.floor((usableWidth + gapX) / (labelWidthPt + gapX));
-  const rows = Math.floor((usableHeight + gapY) / (labelHeightPt + gapY));
-
-  if (columns < 1 || rows < 1) {
-    return res.status(400).json({
-      errors: ['Label size or margins are too large for the selected paper size.'],
-      warnings: validation.warnings
-    });
+    return true;
   }
 
+  const {
+    pageWidthPt,
+    pageHeightPt,
+    labelWidthPt,
+    labelHeightPt,
+    marginLeft,
+    marginTop,
+    gapX,
+    gapY,
+    columns,
+    rows
+  } = getSheetGeometry(layout);
   const labelsPerPage = columns * rows;
-  const includeQr = Boolean(req.body.includeQr);
+  const includeQr = Boolean(body.includeQr);
   const dateText = new Date().toLocaleDateString('en-CA');
 
   res.setHeader('Content-Type', 'application/pdf');
@@ -1710,12 +3459,7 @@ app.post('/api/pdf', async (req, res) => {
 
   let index = 0;
   try {
-    for (const record of iterateLabels({
-      ...validation.values,
-      exportPlot,
-      structureCode: validation.values.structureCode,
-      trackedPlants
-    })) {
+    for (const { record } of labels) {
       if (index > 0 && index % labelsPerPage === 0) {
         doc.addPage();
       }
@@ -1743,12 +3487,11 @@ app.post('/api/pdf', async (req, res) => {
       });
 
       if (canRenderQr) {
-        const entityId = getEntityIdFromMaps('plant', record, dbResult);
         const qrDataUrl = await QRCode.toDataURL(getQrPayload({
           fullId: record.plantIdFull,
-          body: req.body || {},
+          body,
           entityType: 'plant',
-          entityId
+          entityToken: getEntityTokenFromMaps('plant', record, dbResult)
         }), {
           margin: 0,
           width: 256,
@@ -1766,20 +3509,98 @@ app.post('/api/pdf', async (req, res) => {
   } catch (error) {
     doc.end();
     res.status(500).end();
+    return false;
   }
-});
+  return true;
+}
 
-app.get('/api/presets', (_req, res) => {
-  res.json({ paperPresets: PAPER_PRESETS, defaults: DEFAULT_LAYOUT });
-});
+// True once the whole response reached the client, false if it disconnected first.
+function waitForResponse(res) {
+  if (res.writableFinished) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    res.once('finish', () => resolve(true));
+    res.once('close', () => resolve(res.writableFinished));
+  });
+}
 
-app.post('/api/batches', async (req, res) => {
-  const siteName = String(req.body.siteName || '').trim();
-  const cropType = String(req.body.cropType || '').trim();
-  const batchName = String(req.body.batchName || '').trim();
-  const startDate = req.body.startDate ? String(req.body.startDate).trim() : null;
-  const structureCode = String(req.body.structureCode || 'S3').toUpperCase();
-  const mode = String(req.body.mode || MODES.STANDARD);
+app.post('/api/csv', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, (req, res) => {
+  const validation = validatePayload(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
+  }
+
+  const designResult = prepareExportDesign(req.body, validation.values);
+  if (designResult.errors.length) {
+    return res.status(400).json({ errors: designResult.errors, warnings: [] });
+  }
+  const values = { ...validation.values, design: designResult.design };
+
+  const trackedPlants = Array.isArray(req.body.trackedPlants) ? req.body.trackedPlants : null;
+  const csvExport = prepareCsvExport({ body: req.body, values, trackedPlants });
+  if (csvExport.errors.length) {
+    return res.status(400).json({ errors: csvExport.errors, warnings: [] });
+  }
+  sendCsv(res, csvExport);
+});
+
+app.post('/api/pdf', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, async (req, res) => {
+  const validation = validatePayload(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
+  }
+
+  const designResult = prepareExportDesign(req.body, validation.values);
+  if (designResult.errors.length) {
+    return res.status(400).json({ errors: designResult.errors, warnings: [] });
+  }
+  const values = { ...validation.values, design: designResult.design };
+
+  const trackedPlants = Array.isArray(req.body.trackedPlants) ? req.body.trackedPlants : null;
+  const pdfExport = preparePdfExport({ body: req.body, values, trackedPlants });
+  if (pdfExport.errors.length) {
+    return res.status(400).json({ errors: pdfExport.errors, warnings: [] });
+  }
+
+  let dbResult = null;
+  try {
+    dbResult = await persistExportToDb({
+      orgId: getOrgId(req),
+      values,
+      trackedPlants,
+      samplingPlanId: req.body.samplingPlanId,
+      includePlants: pdfExport.includePlants
+    });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+
+  const dbSaved = Boolean(dbResult && dbResult.batchId);
+  res.setHeader('X-DB-Saved', dbSaved ? 'yes' : 'no');
+  if (dbSaved) {
+    res.setHeader('X-Batch-Id', String(dbResult.batchId));
+  }
+
+  await sendLabelsPdf(res, {
+    ...pdfExport,
+    body: req.body,
+    warnings: validation.warnings,
+    dbResult,
+    labels: iterateExportLabels({ ...pdfExport, values, trackedPlants })
+  });
+});
+
+app.get('/api/presets', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), (_req, res) => {
+  res.json({ paperPresets: PAPER_PRESETS, defaults: DEFAULT_LAYOUT });
+});
+
+app.post('/api/batches', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const siteName = String(req.body.siteName || '').trim();
+  const cropType = String(req.body.cropType || '').trim();
+  const batchName = String(req.body.batchName || '').trim();
+  const startDate = req.body.startDate ? String(req.body.startDate).trim() : null;
+  const structureCode = String(req.body.structureCode || 'S3').toUpperCase();
+  const mode = String(req.body.mode || MODES.STANDARD);
 
   const errors = [];
   if (!siteName) errors.push('Site name is required.');
@@ -1789,13 +3610,13 @@ app.post('/api/batches', async (req, res) => {
   if (errors.length) return res.status(400).json({ errors, warnings: [] });
 
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
     const result = await db.query(
-      `INSERT INTO batches (site_name, crop_type, batch_name, start_date, structure_code, mode)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO batches (site_name, crop_type, batch_name, start_date, structure_code, mode, org_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [siteName, cropType, batchName || null, startDate || null, structureCode, mode]
+      [siteName, cropType, batchName || null, startDate || null, structureCode, mode, getOrgId(req)]
     );
     res.json({ batch: result.rows[0] });
   } catch (error) {
@@ -1804,11 +3625,50 @@ app.post('/api/batches', async (req, res) => {
   }
 });
 
-app.get('/api/batches', async (_req, res) => {
+app.get('/api/batches', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const status = String(req.query.status || '').toLowerCase();
+  if (status && status !== 'all' && !Object.values(BATCH_STATUSES).includes(status)) {
+    return res.status(400).json({ errors: ['status must be active, closed, archived, or all.'], warnings: [] });
+  }
+  const dateErrors = ['from', 'to']
+    .filter((key) => req.query[key] && !isDateOnly(req.query[key]))
+    .map((key) => `${key} must be a date (YYYY-MM-DD).`);
+  if (dateErrors.length) {
+    return res.status(400).json({ errors: dateErrors, warnings: [] });
+  }
+  const params = [getOrgId(req)];
+  const conditions = ['org_id = $1'];
+  if (!status) {
+    params.push(BATCH_STATUSES.ARCHIVED);
+    conditions.push(`status <> $${params.length}`);
+  } else if (status !== 'all') {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (req.query.site) {
+    params.push(`%${String(req.query.site).trim()}%`);
+    conditions.push(`site_name ILIKE $${params.length}`);
+  }
+  if (req.query.crop) {
+    params.push(`%${String(req.query.crop).trim()}%`);
+    conditions.push(`crop_type ILIKE $${params.length}`);
+  }
+  if (req.query.from) {
+    params.push(String(req.query.from));
+    conditions.push(`start_date >= $${params.length}::date`);
+  }
+  if (req.query.to) {
+    params.push(String(req.query.to));
+    conditions.push(`start_date <= $${params.length}::date`);
+  }
+
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
-    const { rows } = await db.query('SELECT * FROM batches ORDER BY created_at DESC');
+    const { rows } = await db.query(
+      `SELECT * FROM batches WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`,
+      params
+    );
     res.json({ batches: rows });
   } catch (error) {
     console.error('DB error:', error.message);
@@ -1816,22 +3676,28 @@ app.get('/api/batches', async (_req, res) => {
   }
 });
 
-app.get('/api/batches/:id', async (req, res) => {
+app.get('/api/batches/:id', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
     const batchId = Number(req.params.id);
-    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1', [batchId]);
+    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
     if (!batchResult.rows.length) {
       return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
     }
-    const plots = await db.query('SELECT * FROM plots WHERE batch_id = $1 ORDER BY plot_no', [batchId]);
+    const includeRetired = req.query.include_retired === '1' || req.query.include_retired === 'true';
+    const plots = await db.query(
+      `SELECT * FROM plots
+       WHERE batch_id = $1 AND ($2::boolean OR retired_at IS NULL)
+       ORDER BY plot_no`,
+      [batchId, includeRetired]
+    );
     const rows = await db.query(
       `SELECT rows.* FROM rows
        JOIN plots ON rows.plot_id = plots.id
-       WHERE plots.batch_id = $1
+       WHERE plots.batch_id = $1 AND ($2::boolean OR rows.retired_at IS NULL)
        ORDER BY plots.plot_no, rows.row_no`,
-      [batchId]
+      [batchId, includeRetired]
     );
     res.json({ batch: batchResult.rows[0], plots: plots.rows, rows: rows.rows });
   } catch (error) {
@@ -1840,307 +3706,2770 @@ app.get('/api/batches/:id', async (req, res) => {
   }
 });
 
-app.post('/api/batches/:id/structure', async (req, res) => {
+app.patch('/api/batches/:id', requireRole(ROLES.SUPERVISOR), async (req, res) => {
   const batchId = Number(req.params.id);
-  const plots = Array.isArray(req.body.plots) ? req.body.plots : [];
-  if (!plots.length) {
-    return res.status(400).json({ errors: ['Plots are required.'], warnings: [] });
+  const body = req.body || {};
+  const updates = {};
+  const errors = [];
+
+  if (body.siteName !== undefined) {
+    updates.site_name = String(body.siteName || '').trim();
+    if (!updates.site_name) errors.push('Site name is required.');
+  }
+  if (body.cropType !== undefined) {
+    updates.crop_type = String(body.cropType || '').trim();
+    if (!updates.crop_type) errors.push('Crop type is required.');
   }
+  if (body.batchName !== undefined) {
+    updates.batch_name = String(body.batchName || '').trim() || null;
+  }
+  if (body.startDate !== undefined) {
+    updates.start_date = body.startDate ? String(body.startDate).trim() : null;
+    if (updates.start_date && !isDateOnly(updates.start_date)) {
+      errors.push('startDate must be a date (YYYY-MM-DD).');
+    }
+  }
+  if (body.status !== undefined) {
+    updates.status = String(body.status || '').toLowerCase();
+    if (!Object.values(BATCH_STATUSES).includes(updates.status)) {
+      errors.push('status must be active, closed, or archived.');
+    }
+  }
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ errors: ['Nothing to update.'], warnings: [] });
+  }
+
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
-    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1', [batchId]);
-    if (!batchResult.rows.length) {
+    const current = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!current.rows.length) {
       return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
     }
-    const structureCode = batchResult.rows[0].structure_code;
-    const structure = getStructure(structureCode);
+    const batch = current.rows[0];
 
-    await db.query('BEGIN');
-    await db.query('DELETE FROM plots WHERE batch_id = $1', [batchId]);
+    const warnings = [];
+    if ((updates.site_name && updates.site_name !== batch.site_name)
+      || (updates.crop_type && updates.crop_type !== batch.crop_type)) {
+      warnings.push('Full IDs now differ from labels already printed. Reprint labels to match.');
+    }
 
-    for (const plot of plots) {
-      const plotNo = parsePositiveInt(plot.plot_no ?? plot.plotNo ?? plot.plot);
-      if (!plotNo) continue;
-      let rowCount = 0;
-      let plantCount = 0;
+    const columns = Object.keys(updates);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    assignments.push('updated_at = NOW()');
+    if (updates.status && updates.status !== batch.status) {
+      assignments.push('status_changed_at = NOW()');
+    }
+    const result = await db.query(
+      `UPDATE batches SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [batchId, ...columns.map((column) => updates[column])]
+    );
+    res.json({ batch: result.rows[0], warnings });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
 
-      if (!structure.hasRows && structure.hasPlants) {
-        plantCount = parsePositiveInt(plot.plant_count ?? plot.plantCount ?? plot.plants) || 0;
-      }
+async function countBatchContents(db, batchId) {
+  const result = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM plots WHERE batch_id = $1) AS plots,
+       (SELECT COUNT(*) FROM rows JOIN plots ON rows.plot_id = plots.id WHERE plots.batch_id = $1) AS rows,
+       (SELECT COUNT(*) FROM plants JOIN plots ON plants.plot_id = plots.id WHERE plots.batch_id = $1) AS plants,
+       (SELECT COUNT(*) FROM events WHERE ${BATCH_EVENTS_FILTER}) AS events`,
+    [batchId]
+  );
+  const counts = result.rows[0];
+  return {
+    plots: Number(counts.plots),
+    rows: Number(counts.rows),
+    plants: Number(counts.plants),
+    events: Number(counts.events)
+  };
+}
 
-      if (structure.hasRows) {
-        const rows = Array.isArray(plot.rows) ? plot.rows : [];
-        rowCount = rows.length;
-        rows.forEach((row) => {
-          plantCount += parsePositiveInt(row.plant_count ?? row.plantCount ?? row.plants) || 0;
-        });
-      }
+app.delete('/api/batches/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const confirm = req.query.confirm ?? req.body?.confirm;
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const current = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!current.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const counts = await countBatchContents(db, batchId);
+    if (String(confirm) !== String(batchId)) {
+      return res.status(409).json({
+        errors: [`Deleting this batch removes ${counts.plots} plots, ${counts.rows} rows, ${counts.plants} plants and ${counts.events} events. Repeat with confirm=${batchId} to proceed.`],
+        warnings: [],
+        counts
+      });
+    }
+    await withTransaction(async (tx) => {
+      await tx.query(`DELETE FROM events WHERE ${BATCH_EVENTS_FILTER}`, [batchId]);
+      await tx.query('DELETE FROM batches WHERE id = $1', [batchId]);
+    });
+    res.json({ ok: true, deleted: counts });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
 
-      const plotResult = await db.query(
-        `INSERT INTO plots (batch_id, plot_no, row_count, plant_count)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id`,
-        [batchId, plotNo, rowCount, plantCount]
+// Copies the active layout of a batch into a new season. With carryPlantIdentity
+// each new plant points back at the plant it continues, so its history spans seasons.
+async function cloneBatch(tx, source, { batchName, startDate, includePlants, carryPlantIdentity }) {
+  const plots = await tx.query(
+    'SELECT * FROM plots WHERE batch_id = $1 AND retired_at IS NULL ORDER BY plot_no',
+    [source.id]
+  );
+  const design = designCoversPlots(source.design, plots.rows.map((plot) => plot.plot_no)) ? source.design : null;
+  const batchResult = await tx.query(
+    `INSERT INTO batches (site_name, crop_type, batch_name, start_date, structure_code, mode, cloned_from_batch_id, org_id, design)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      source.site_name,
+      source.crop_type,
+      batchName,
+      startDate || null,
+      source.structure_code,
+      source.mode,
+      source.id,
+      source.org_id,
+      design ? JSON.stringify(design) : null
+    ]
+  );
+  const batchId = batchResult.rows[0].id;
+  const counts = { plots: 0, rows: 0, plants: 0 };
+
+  const plotIdMap = new Map();
+  for (const plot of plots.rows) {
+    const inserted = await tx.query(
+      `INSERT INTO plots (batch_id, plot_no, row_count, plant_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [batchId, plot.plot_no, plot.row_count, plot.plant_count]
+    );
+    plotIdMap.set(String(plot.id), inserted.rows[0].id);
+    counts.plots += 1;
+  }
+
+  const rowIdMap = new Map();
+  const rows = await tx.query(
+    `SELECT rows.* FROM rows
+     JOIN plots ON rows.plot_id = plots.id
+     WHERE plots.batch_id = $1 AND plots.retired_at IS NULL AND rows.retired_at IS NULL
+     ORDER BY plots.plot_no, rows.row_no`,
+    [source.id]
+  );
+  for (const row of rows.rows) {
+    const inserted = await tx.query(
+      `INSERT INTO rows (plot_id, row_no, plant_count)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [plotIdMap.get(String(row.plot_id)), row.row_no, row.plant_count]
+    );
+    rowIdMap.set(String(row.id), inserted.rows[0].id);
+    counts.rows += 1;
+  }
+
+  if (includePlants) {
+    const plants = await tx.query(
+      `SELECT plants.* FROM plants
+       JOIN plots ON plants.plot_id = plots.id
+       WHERE plots.batch_id = $1 AND plots.retired_at IS NULL AND plants.retired_at IS NULL
+         AND plants.status <> 'replaced'
+       ORDER BY plants.id`,
+      [source.id]
+    );
+    for (const plant of plants.rows) {
+      await tx.query(
+        `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason, sampling_plan_id, previous_season_plant_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          plotIdMap.get(String(plant.plot_id)),
+          plant.row_id ? rowIdMap.get(String(plant.row_id)) || null : null,
+          plant.plant_no,
+          plant.tracking_reason,
+          plant.sampling_plan_id,
+          carryPlantIdentity ? plant.id : null
+        ]
       );
-      const plotId = plotResult.rows[0].id;
+      counts.plants += 1;
+    }
+  }
 
-      if (structure.hasRows) {
-        const rows = Array.isArray(plot.rows) ? plot.rows : [];
-        for (const row of rows) {
-          const rowNo = parsePositiveInt(row.row_no ?? row.rowNo ?? row.row);
-          const rowPlantCount = parsePositiveInt(row.plant_count ?? row.plantCount ?? row.plants) || 0;
-          if (!rowNo) continue;
-          await db.query(
-            `INSERT INTO rows (plot_id, row_no, plant_count)
-             VALUES ($1, $2, $3)`,
-            [plotId, rowNo, rowPlantCount]
-          );
-        }
-      }
+  return { batchId, counts };
+}
+
+app.post('/api/batches/:id/clone', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const body = req.body || {};
+  const batchName = String(body.batchName || '').trim();
+  const startDate = body.startDate ? String(body.startDate).trim() : null;
+  const carryPlantIdentity = Boolean(body.carryPlantIdentity);
+  const includePlants = carryPlantIdentity || body.includePlants === undefined || Boolean(body.includePlants);
+  if (!batchName) {
+    return res.status(400).json({ errors: ['Season / batch name is required for the new batch.'], warnings: [] });
+  }
+
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const sourceResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!sourceResult.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const source = sourceResult.rows[0];
+    if (source.batch_name && source.batch_name === batchName) {
+      return res.status(400).json({ errors: ['Use a different batch name for the new season.'], warnings: [] });
     }
 
-    await db.query('COMMIT');
-    res.json({ ok: true });
+    const cloned = await withTransaction((tx) => cloneBatch(tx, source, {
+      batchName,
+      startDate,
+      includePlants,
+      carryPlantIdentity
+    }));
+    const layout = await loadBatchForExport(cloned.batchId, getOrgId(req));
+    res.json({
+      batch: layout.batch,
+      counts: cloned.counts,
+      layout: layout.body,
+      trackedPlants: layout.trackedPlants || []
+    });
   } catch (error) {
-    try {
-      const db = getPool();
-      await db.query('ROLLBACK');
-    } catch (rollbackError) {
-      // ignore rollback errors
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+function getEntityFullId(batch, entityType, position) {
+  if (entityType === 'plot') return buildPlotIdFull(batch.site_name, batch.crop_type, position.plot_no);
+  if (entityType === 'row') return buildRowIdFull(batch.site_name, batch.crop_type, position.plot_no, position.row_no);
+  if (entityType === 'plant') {
+    return buildPlantIdFullFlexible(
+      batch.site_name,
+      batch.crop_type,
+      batch.structure_code,
+      position.plot_no,
+      position.row_no,
+      position.plant_no
+    );
+  }
+  return null;
+}
+
+function parseListParam(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Cursors are opaque to clients: the created_at and id of the last event on
+// the previous page, matching the ORDER BY below. created_at is carried as
+// database text so microseconds survive the round trip.
+function encodeEventCursor(event) {
+  return Buffer.from(`${event.cursor_created_at}|${event.id}`).toString('base64url');
+}
+
+function decodeEventCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  if (!createdAt || Number.isNaN(Date.parse(createdAt)) || !Number(id)) return null;
+  return { createdAt, id: Number(id) };
+}
+
+// Every event that belongs to a batch, with the plot/row/plant numbers of the
+// entity it was logged on. Batch-level events have no plot number.
+const BATCH_EVENTS_QUERY = `
+  SELECT events.*, entity_plot.plot_no, COALESCE(event_row.row_no, plant_row.row_no) AS row_no, event_plant.plant_no,
+    events.created_at::text AS cursor_created_at
+  FROM events
+  LEFT JOIN plots event_plot ON events.entity_type = 'plot' AND event_plot.id = events.entity_id
+  LEFT JOIN rows event_row ON events.entity_type = 'row' AND event_row.id = events.entity_id
+  LEFT JOIN plants event_plant ON events.entity_type = 'plant' AND event_plant.id = events.entity_id
+  LEFT JOIN rows plant_row ON event_plant.row_id = plant_row.id
+  LEFT JOIN plots entity_plot ON entity_plot.id = COALESCE(event_plot.id, event_row.plot_id, event_plant.plot_id)
+  WHERE ((events.entity_type = 'batch' AND events.entity_id = $1) OR entity_plot.batch_id = $1)`;
+
+// Shared by the batch events list and its export. $1 is always the batch id.
+function buildBatchEventFilters(batchId, query) {
+  const errors = [];
+  const conditions = [];
+  const params = [batchId];
+
+  const eventTypes = parseListParam(query.event_type);
+  if (eventTypes.length) {
+    params.push(eventTypes);
+    conditions.push(`events.event_type = ANY($${params.length})`);
+  }
+  const entityTypes = parseListParam(query.entity_type).map((type) => type.toLowerCase());
+  if (entityTypes.some((type) => !EVENT_ENTITY_TYPES.includes(type))) {
+    errors.push('entity_type must be batch, plot, row, or plant.');
+  } else if (entityTypes.length) {
+    params.push(entityTypes);
+    conditions.push(`events.entity_type = ANY($${params.length})`);
+  }
+  if (query.from) {
+    if (!isDateOrTimestamp(query.from)) {
+      errors.push('from must be a date (YYYY-MM-DD) or an ISO timestamp.');
+    } else {
+      params.push(String(query.from));
+      conditions.push(`events.created_at >= $${params.length}::timestamptz`);
+    }
+  }
+  if (query.to) {
+    if (!isDateOrTimestamp(query.to)) {
+      errors.push('to must be a date (YYYY-MM-DD) or an ISO timestamp.');
+    } else {
+      params.push(String(query.to));
+      // A bare date includes the whole day.
+      conditions.push(isDateOnly(query.to)
+        ? `events.created_at < $${params.length}::date + 1`
+        : `events.created_at <= $${params.length}::timestamptz`);
+    }
+  }
+  [
+    ['plot_from', 'entity_plot.plot_no', '>='],
+    ['plot_to', 'entity_plot.plot_no', '<='],
+    ['row_from', 'COALESCE(event_row.row_no, plant_row.row_no)', '>='],
+    ['row_to', 'COALESCE(event_row.row_no, plant_row.row_no)', '<=']
+  ].forEach(([key, column, operator]) => {
+    if (query[key] === undefined || query[key] === '') return;
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${key} must be an integer > 0.`);
+      return;
+    }
+    params.push(value);
+    conditions.push(`${column} ${operator} $${params.length}`);
+  });
+  if (query.created_by) {
+    params.push(String(query.created_by));
+    conditions.push(`events.created_by = $${params.length}`);
+  }
+  if (!(query.include_deleted === '1' || query.include_deleted === 'true')) {
+    conditions.push('events.deleted_at IS NULL');
+  }
+  return { errors, conditions, params };
+}
+
+app.get('/api/batches/:id/events', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const query = req.query;
+  const { errors, conditions, params } = buildBatchEventFilters(batchId, query);
+  if (query.cursor) {
+    const cursor = decodeEventCursor(query.cursor);
+    if (!cursor) {
+      errors.push('cursor is invalid.');
+    } else {
+      params.push(cursor.createdAt, cursor.id);
+      conditions.push(`(events.created_at, events.id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+    }
+  }
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    errors.push('limit must be an integer between 1 and 500.');
+  }
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!batchResult.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const batch = batchResult.rows[0];
+    params.push(limit + 1);
+    const result = await db.query(
+      `${BATCH_EVENTS_QUERY}
+       ${conditions.map((condition) => `AND ${condition}`).join('\n       ')}
+       ORDER BY events.created_at DESC, events.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    const page = result.rows.slice(0, limit);
+    res.json({
+      events: page.map(({ cursor_created_at: _cursor, ...event }) => ({
+        ...event,
+        full_id: getEntityFullId(batch, event.entity_type, event)
+      })),
+      nextCursor: result.rows.length > limit ? encodeEventCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+const EVENT_EXPORT_COLUMNS = [
+  'event_id',
+  'event_type',
+  'entity_type',
+  'full_id',
+  'plot_no',
+  'row_no',
+  'plant_no',
+  'created_at',
+  'created_by'
+];
+
+// Typed fields first, in registry order, then any other payload keys seen
+// (older events logged before the registry existed, reprint details, etc).
+function getEventPayloadColumns(eventTypes, types, events) {
+  const columns = [];
+  const add = (key) => {
+    if (key !== 'note' && !columns.includes(key)) columns.push(key);
+  };
+  types.forEach((type) => {
+    (eventTypes[type] ? eventTypes[type].fields : []).forEach((field) => add(field.key));
+  });
+  events.forEach((event) => {
+    if (event.payload && typeof event.payload === 'object') Object.keys(event.payload).forEach(add);
+  });
+  return [...columns, 'note'];
+}
+
+function buildEventExportRows(batch, events, payloadColumns) {
+  return events.map((event) => {
+    const payload = event.payload && typeof event.payload === 'object' ? event.payload : {};
+    return [
+      Number(event.id),
+      event.event_type,
+      event.entity_type,
+      getEntityFullId(batch, event.entity_type, event) || '',
+      event.plot_no ?? '',
+      event.row_no ?? '',
+      event.plant_no ?? '',
+      new Date(event.created_at).toISOString(),
+      event.created_by || '',
+      ...payloadColumns.map((key) => {
+        const value = payload[key];
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+      })
+    ];
+  });
+}
+
+function toSheetName(name, used) {
+  const base = String(name).replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'EVENTS';
+  let sheetName = base;
+  for (let suffix = 2; used.has(sheetName.toLowerCase()); suffix += 1) {
+    sheetName = `${base.slice(0, 31 - String(suffix).length - 1)}_${suffix}`;
+  }
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+// Long-format research export: one row per event. XLSX gets a sheet per event
+// type; CSV is a single file with the event_type column to split on.
+app.get('/api/batches/:id/events/export', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+  if (!['xlsx', 'csv'].includes(format)) {
+    return res.status(400).json({ errors: ['format must be xlsx or csv.'], warnings: [] });
+  }
+  const { errors, conditions, params } = buildBatchEventFilters(batchId, req.query);
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!batchResult.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const batch = batchResult.rows[0];
+    const result = await db.query(
+      `${BATCH_EVENTS_QUERY}
+       ${conditions.map((condition) => `AND ${condition}`).join('\n       ')}
+       ORDER BY events.created_at, events.id`,
+      params
+    );
+    const events = result.rows;
+    // Plant-only types too, so status changes and measurements get their own columns.
+    const eventTypes = getEventTypes(batch.crop_type, 'plant', await loadBatchTraits(db, batch.id));
+    const registryOrder = Object.keys(eventTypes);
+    const types = [...new Set(events.map((event) => event.event_type))].sort((a, b) => {
+      const indexA = registryOrder.includes(a) ? registryOrder.indexOf(a) : registryOrder.length;
+      const indexB = registryOrder.includes(b) ? registryOrder.indexOf(b) : registryOrder.length;
+      return indexA - indexB || a.localeCompare(b);
+    });
+    const fileBase = `batch-${batchId}-events`;
+    res.setHeader('X-Batch-Id', String(batchId));
+    res.setHeader('X-Event-Count', String(events.length));
+
+    if (format === 'csv') {
+      const payloadColumns = getEventPayloadColumns(eventTypes, types, events);
+      const lines = [csvEscapeRow([...EVENT_EXPORT_COLUMNS, ...payloadColumns])];
+      buildEventExportRows(batch, events, payloadColumns).forEach((row) => lines.push(csvEscapeRow(row)));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+      return res.send(lines.join('\n'));
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const usedNames = new Set();
+    types.forEach((type) => {
+      const typeEvents = events.filter((event) => event.event_type === type);
+      const payloadColumns = getEventPayloadColumns(eventTypes, [type], typeEvents);
+      const worksheet = XLSX.utils.aoa_to_sheet([
+        [...EVENT_EXPORT_COLUMNS, ...payloadColumns],
+        ...buildEventExportRows(batch, typeEvents, payloadColumns)
+      ]);
+      XLSX.utils.book_append_sheet(workbook, worksheet, toSheetName(type, usedNames));
+    });
+    if (!types.length) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([EVENT_EXPORT_COLUMNS]), 'EVENTS');
+    }
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.xlsx"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Returns { source } or { status, errors, warnings } without answering the request.
+async function readBatchExportSource(batchId, orgId) {
+  const source = await loadBatchForExport(batchId, orgId);
+  if (!source) {
+    return { status: 404, errors: ['Batch not found.'], warnings: [] };
+  }
+  const lockError = getBatchLockError(source.batch, 'printing labels');
+  if (lockError) {
+    return { status: 409, errors: [lockError], warnings: [] };
+  }
+  const validation = validatePayload(source.body);
+  if (!validation.ok) {
+    return { status: 400, errors: validation.errors, warnings: validation.warnings };
+  }
+  return {
+    source: { ...source, values: { ...validation.values, design: source.batch.design }, warnings: validation.warnings }
+  };
+}
+
+async function loadBatchExportSource(req, res, batchId = Number(req.params.id)) {
+  let result = null;
+  try {
+    await ensureDbReady();
+    result = await readBatchExportSource(batchId, getOrgId(req));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+    return null;
+  }
+  if (!result.source) {
+    res.status(result.status).json({ errors: result.errors, warnings: result.warnings });
+    return null;
+  }
+  return result.source;
+}
+
+app.post('/api/batches/:id/csv', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, async (req, res) => {
+  const source = await loadBatchExportSource(req, res);
+  if (!source) return;
+
+  const csvExport = prepareCsvExport({
+    body: req.body || {},
+    values: source.values,
+    trackedPlants: source.trackedPlants
+  });
+  if (csvExport.errors.length) {
+    return res.status(400).json({ errors: csvExport.errors, warnings: [] });
+  }
+  res.setHeader('X-Batch-Id', String(source.dbResult.batchId));
+  sendCsv(res, csvExport);
+});
+
+app.post('/api/batches/:id/pdf', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, async (req, res) => {
+  const source = await loadBatchExportSource(req, res);
+  if (!source) return;
+
+  const pdfExport = preparePdfExport({
+    body: req.body || {},
+    values: source.values,
+    trackedPlants: source.trackedPlants
+  });
+  if (pdfExport.errors.length) {
+    return res.status(400).json({ errors: pdfExport.errors, warnings: [] });
+  }
+
+  res.setHeader('X-DB-Saved', 'yes');
+  res.setHeader('X-Batch-Id', String(source.dbResult.batchId));
+  await sendLabelsPdf(res, {
+    ...pdfExport,
+    body: req.body || {},
+    warnings: source.warnings,
+    dbResult: source.dbResult,
+    labels: iterateExportLabels({
+      ...pdfExport,
+      values: source.values,
+      trackedPlants: source.trackedPlants,
+      includeDeadPlants: pdfExport.includeDeadPlants
+    })
+  });
+});
+
+function selectReprintLabels({ values, trackedPlants, dbResult, fullIds, entities }) {
+  const allowedLabelTypes = ['plot'];
+  if (getStructure(values.structureCode).hasRows) allowedLabelTypes.push('row');
+  if (hasPlantTracking(values.structureCode, values.mode)) allowedLabelTypes.push('plant');
+
+  const byFullId = new Map();
+  const byEntity = new Map();
+  for (const label of iterateExportLabels({
+    values,
+    exportPlot: null,
+    allowedLabelTypes,
+    trackedPlants,
+    includeDeadPlants: true
+  })) {
+    const fullId = getLabelFullId(label.type, label.record);
+    const entityId = getEntityIdFromMaps(label.type, label.record, dbResult);
+    const entry = { ...label, fullId, entityId };
+    byFullId.set(fullId, entry);
+    if (entityId) byEntity.set(`${label.type}-${entityId}`, entry);
+  }
+
+  const errors = [];
+  const selected = new Map();
+  fullIds.forEach((value) => {
+    const fullId = String(value || '').trim().toUpperCase();
+    const entry = byFullId.get(fullId);
+    if (!entry) {
+      errors.push(`No label found for ${fullId || '(blank ID)'}.`);
+      return;
+    }
+    selected.set(`${entry.type}-${entry.fullId}`, entry);
+  });
+  entities.forEach((item) => {
+    const entityType = String(item?.entityType || '').toLowerCase();
+    const entityId = Number(item?.entityId);
+    const entry = byEntity.get(`${entityType}-${entityId}`);
+    if (!entry) {
+      errors.push(`No ${entityType || 'entity'} ${item?.entityId ?? ''} in this batch.`);
+      return;
+    }
+    selected.set(`${entry.type}-${entry.fullId}`, entry);
+  });
+
+  return { errors, labels: Array.from(selected.values()) };
+}
+
+app.post('/api/batches/:id/reprint', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, async (req, res) => {
+  const body = req.body || {};
+  const fullIds = Array.isArray(body.fullIds) ? body.fullIds : [];
+  const entities = Array.isArray(body.entities) ? body.entities : [];
+  if (!fullIds.length && !entities.length) {
+    return res.status(400).json({ errors: ['Provide fullIds or entities to reprint.'], warnings: [] });
+  }
+
+  const source = await loadBatchExportSource(req, res);
+  if (!source) return;
+
+  const selection = selectReprintLabels({
+    values: source.values,
+    trackedPlants: source.trackedPlants,
+    dbResult: source.dbResult,
+    fullIds,
+    entities
+  });
+  if (selection.errors.length) {
+    return res.status(400).json({ errors: selection.errors, warnings: [] });
+  }
+
+  const layout = getLayoutOptions(body);
+  if (layout.layoutMode === 'sheet' && selection.labels.some((label) => label.type !== 'plant')) {
+    return res.status(400).json({ errors: ['Sheet mode is only supported for plant labels.'], warnings: [] });
+  }
+  const layoutErrors = getLayoutErrors(layout);
+  if (layoutErrors.length) {
+    return res.status(400).json({ errors: layoutErrors, warnings: [] });
+  }
+
+  // Reprint events are only written once the PDF has been rendered and
+  // delivered, so the history never shows a reprint that did not happen.
+  const reason = body.reason ? String(body.reason).trim() : null;
+  const tracked = selection.labels.filter((label) => label.entityId);
+  res.setHeader('X-Batch-Id', String(source.dbResult.batchId));
+  res.setHeader('X-Reprint-Events', String(tracked.length));
+  const rendered = await sendLabelsPdf(res, {
+    body,
+    warnings: source.warnings,
+    dbResult: source.dbResult,
+    labelType: 'reprint',
+    layout,
+    labels: selection.labels
+  });
+  if (!rendered || !(await waitForResponse(res))) return;
+  try {
+    await withTransaction(async (tx) => {
+      for (const label of tracked) {
+        await tx.query(
+          `INSERT INTO events (entity_type, entity_id, event_type, payload, created_by)
+           VALUES ($1, $2, 'reprinted', $3, $4)`,
+          [label.type, label.entityId, { fullId: label.fullId, reason }, req.user.username]
+        );
+      }
+    });
+  } catch (error) {
+    console.error('DB error:', error.message);
+  }
+});
+
+function normalizeStructurePlots(plots, structure) {
+  const normalized = [];
+  plots.forEach((plot) => {
+    const plotNo = parsePositiveInt(plot.plot_no ?? plot.plotNo ?? plot.plot);
+    if (!plotNo) return;
+    const rows = [];
+    let plantCount = 0;
+    if (!structure.hasRows && structure.hasPlants) {
+      plantCount = parsePositiveInt(plot.plant_count ?? plot.plantCount ?? plot.plants) || 0;
+    }
+    if (structure.hasRows) {
+      (Array.isArray(plot.rows) ? plot.rows : []).forEach((row) => {
+        const rowPlantCount = parsePositiveInt(row.plant_count ?? row.plantCount ?? row.plants) || 0;
+        plantCount += rowPlantCount;
+        const rowNo = parsePositiveInt(row.row_no ?? row.rowNo ?? row.row);
+        if (rowNo) rows.push({ rowNo, plantCount: rowPlantCount });
+      });
+    }
+    normalized.push({
+      plotNo,
+      rowCount: structure.hasRows ? (Array.isArray(plot.rows) ? plot.rows.length : 0) : 0,
+      plantCount,
+      rows
+    });
+  });
+  return normalized;
+}
+
+// Updates a batch layout in place. Matching plots and rows keep their IDs,
+// missing ones are retired (never deleted) so printed QR codes and events
+// keep resolving. Returns what changed and which printed labels are stale.
+async function applyStructureDiff(tx, batch, plots) {
+  const structureCode = batch.structure_code;
+  const structure = getStructure(structureCode);
+  const siteName = batch.site_name;
+  const cropType = batch.crop_type;
+  const incomingPlots = normalizeStructurePlots(plots, structure);
+
+  const changes = {
+    plots: { added: [], resized: [], removed: [] },
+    rows: { added: [], resized: [], removed: [] },
+    plants: { added: [], removed: [] }
+  };
+  const obsoleteLabels = [];
+  const tracksAllPlants = batch.mode === MODES.FULL && structure.hasPlants;
+
+  const plotsResult = await tx.query('SELECT * FROM plots WHERE batch_id = $1', [batch.id]);
+  const rowsResult = await tx.query(
+    `SELECT rows.* FROM rows
+     JOIN plots ON rows.plot_id = plots.id
+     WHERE plots.batch_id = $1`,
+    [batch.id]
+  );
+  const plotsByNo = new Map(plotsResult.rows.map((plot) => [plot.plot_no, plot]));
+  const rowNoById = new Map(rowsResult.rows.map((row) => [String(row.id), row.row_no]));
+  const rowsByPlotId = new Map();
+  rowsResult.rows.forEach((row) => {
+    const key = String(row.plot_id);
+    if (!rowsByPlotId.has(key)) rowsByPlotId.set(key, new Map());
+    rowsByPlotId.get(key).set(row.row_no, row);
+  });
+
+  const retirePlants = async (whereSql, params, plotNo) => {
+    const result = await tx.query(
+      `UPDATE plants SET retired_at = NOW()
+       WHERE ${whereSql} AND retired_at IS NULL
+       RETURNING id, row_id, plant_no`,
+      params
+    );
+    result.rows.forEach((plant) => {
+      const rowNo = plant.row_id ? rowNoById.get(String(plant.row_id)) : null;
+      changes.plants.removed.push({ plotNo, rowNo: rowNo || null, plantNo: plant.plant_no });
+      obsoleteLabels.push({
+        entityType: 'plant',
+        entityId: plant.id,
+        fullId: buildPlantIdFullFlexible(siteName, cropType, structureCode, plotNo, rowNo, plant.plant_no),
+        reason: 'removed'
+      });
+    });
+  };
+
+  // Full mode gives every position a plant: restore retired ones in range and
+  // insert the missing ones so new rows and larger plots get scan pages too.
+  const addPlants = async (plotId, rowId, plantCount, plotNo, rowNo) => {
+    if (!tracksAllPlants || !plantCount) return;
+    const restored = await tx.query(
+      `UPDATE plants SET retired_at = NULL
+       WHERE plot_id = $1 AND row_id IS NOT DISTINCT FROM $2::bigint AND plant_no <= $3
+         AND retired_at IS NOT NULL AND status <> 'replaced'
+       RETURNING plant_no`,
+      [plotId, rowId, plantCount]
+    );
+    const inserted = await tx.query(
+      `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason)
+       SELECT $1, $2::bigint, n, 'full' FROM generate_series(1, $3::int) AS n
+       WHERE NOT EXISTS (
+         SELECT 1 FROM plants
+         WHERE plot_id = $1 AND row_id IS NOT DISTINCT FROM $2::bigint AND plant_no = n AND status <> 'replaced'
+       )
+       RETURNING plant_no`,
+      [plotId, rowId, plantCount]
+    );
+    [...restored.rows, ...inserted.rows]
+      .sort((a, b) => a.plant_no - b.plant_no)
+      .forEach((plant) => changes.plants.added.push({ plotNo, rowNo: rowNo || null, plantNo: plant.plant_no }));
+  };
+
+  const retireRow = async (row, plotNo) => {
+    await tx.query('UPDATE rows SET retired_at = NOW() WHERE id = $1', [row.id]);
+    await retirePlants('row_id = $1', [row.id], plotNo);
+    changes.rows.removed.push({ plotNo, rowNo: row.row_no });
+    obsoleteLabels.push({
+      entityType: 'row',
+      entityId: row.id,
+      fullId: buildRowIdFull(siteName, cropType, plotNo, row.row_no),
+      reason: 'removed'
+    });
+  };
+
+  const seenPlotNos = new Set();
+  for (const plot of incomingPlots) {
+    seenPlotNos.add(plot.plotNo);
+    const current = plotsByNo.get(plot.plotNo);
+    let plotId = null;
+
+    if (!current) {
+      const inserted = await tx.query(
+        `INSERT INTO plots (batch_id, plot_no, row_count, plant_count)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [batch.id, plot.plotNo, plot.rowCount, plot.plantCount]
+      );
+      plotId = inserted.rows[0].id;
+      changes.plots.added.push(plot.plotNo);
+      if (!structure.hasRows) await addPlants(plotId, null, plot.plantCount, plot.plotNo);
+    } else {
+      plotId = current.id;
+      if (current.retired_at) {
+        await tx.query(
+          'UPDATE plots SET retired_at = NULL, row_count = $2, plant_count = $3 WHERE id = $1',
+          [plotId, plot.rowCount, plot.plantCount]
+        );
+        changes.plots.added.push(plot.plotNo);
+      } else if (current.row_count !== plot.rowCount || current.plant_count !== plot.plantCount) {
+        await tx.query(
+          'UPDATE plots SET row_count = $2, plant_count = $3 WHERE id = $1',
+          [plotId, plot.rowCount, plot.plantCount]
+        );
+        changes.plots.resized.push(plot.plotNo);
+        // Plot labels print the row count only.
+        if (current.row_count !== plot.rowCount) {
+          obsoleteLabels.push({
+            entityType: 'plot',
+            entityId: plotId,
+            fullId: buildPlotIdFull(siteName, cropType, plot.plotNo),
+            reason: 'resized'
+          });
+        }
+      }
+      if (!structure.hasRows && structure.hasPlants) {
+        await retirePlants('plot_id = $1 AND plant_no > $2', [plotId, plot.plantCount], plot.plotNo);
+        await addPlants(plotId, null, plot.plantCount, plot.plotNo);
+      }
+    }
+
+    if (!structure.hasRows) continue;
+
+    const existingRows = rowsByPlotId.get(String(plotId)) || new Map();
+    const seenRowNos = new Set();
+    for (const row of plot.rows) {
+      seenRowNos.add(row.rowNo);
+      const currentRow = existingRows.get(row.rowNo);
+      if (!currentRow) {
+        const inserted = await tx.query(
+          `INSERT INTO rows (plot_id, row_no, plant_count)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+          [plotId, row.rowNo, row.plantCount]
+        );
+        changes.rows.added.push({ plotNo: plot.plotNo, rowNo: row.rowNo });
+        await addPlants(plotId, inserted.rows[0].id, row.plantCount, plot.plotNo, row.rowNo);
+        continue;
+      }
+      if (currentRow.retired_at) {
+        await tx.query(
+          'UPDATE rows SET retired_at = NULL, plant_count = $2 WHERE id = $1',
+          [currentRow.id, row.plantCount]
+        );
+        changes.rows.added.push({ plotNo: plot.plotNo, rowNo: row.rowNo });
+      } else if (currentRow.plant_count !== row.plantCount) {
+        await tx.query('UPDATE rows SET plant_count = $2 WHERE id = $1', [currentRow.id, row.plantCount]);
+        changes.rows.resized.push({ plotNo: plot.plotNo, rowNo: row.rowNo });
+        obsoleteLabels.push({
+          entityType: 'row',
+          entityId: currentRow.id,
+          fullId: buildRowIdFull(siteName, cropType, plot.plotNo, row.rowNo),
+          reason: 'resized'
+        });
+      }
+      await retirePlants('row_id = $1 AND plant_no > $2', [currentRow.id, row.plantCount], plot.plotNo);
+      await addPlants(plotId, currentRow.id, row.plantCount, plot.plotNo, row.rowNo);
+    }
+
+    for (const row of existingRows.values()) {
+      if (seenRowNos.has(row.row_no) || row.retired_at) continue;
+      await retireRow(row, plot.plotNo);
+    }
+  }
+
+  for (const plot of plotsResult.rows) {
+    if (seenPlotNos.has(plot.plot_no) || plot.retired_at) continue;
+    await tx.query('UPDATE plots SET retired_at = NOW() WHERE id = $1', [plot.id]);
+    const plotRows = rowsByPlotId.get(String(plot.id)) || new Map();
+    for (const row of plotRows.values()) {
+      if (row.retired_at) continue;
+      await retireRow(row, plot.plot_no);
+    }
+    await retirePlants('plot_id = $1', [plot.id], plot.plot_no);
+    changes.plots.removed.push(plot.plot_no);
+    obsoleteLabels.push({
+      entityType: 'plot',
+      entityId: plot.id,
+      fullId: buildPlotIdFull(siteName, cropType, plot.plot_no),
+      reason: 'removed'
+    });
+  }
+
+  // A design only makes sense over the plots it was randomised for.
+  const warnings = [];
+  if (batch.design && !designCoversPlots(batch.design, incomingPlots.map((plot) => plot.plotNo))) {
+    await tx.query('UPDATE batches SET design = NULL WHERE id = $1', [batch.id]);
+    warnings.push('The new layout no longer matches the experimental design, so the design was cleared. Generate a new design and reprint the plot labels.');
+  }
+
+  return { changes, obsoleteLabels, warnings };
+}
+
+app.post('/api/batches/:id/structure', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const plots = Array.isArray(req.body.plots) ? req.body.plots : [];
+  if (!plots.length) {
+    return res.status(400).json({ errors: ['Plots are required.'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!batchResult.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const lockError = getBatchLockError(batchResult.rows[0], 'changing the structure');
+    if (lockError) return res.status(409).json({ errors: [lockError], warnings: [] });
+    const result = await withTransaction((tx) => applyStructureDiff(tx, batchResult.rows[0], plots));
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/batches/:id/plants', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const plants = Array.isArray(req.body.plants) ? req.body.plants : [];
+  if (!plants.length) {
+    return res.status(400).json({ errors: ['Plant list is required.'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batchResult = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [batchId, getOrgId(req)]);
+    if (!batchResult.rows.length) {
+      return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    }
+    const lockError = getBatchLockError(batchResult.rows[0], 'changing the structure');
+    if (lockError) return res.status(409).json({ errors: [lockError], warnings: [] });
+    const plots = await db.query(
+      'SELECT id, plot_no FROM plots WHERE batch_id = $1 AND retired_at IS NULL',
+      [batchId]
+    );
+    const plotMap = new Map(plots.rows.map((plot) => [plot.plot_no, plot.id]));
+    const rows = await db.query(
+      `SELECT rows.id, rows.row_no, plots.plot_no
+       FROM rows
+       JOIN plots ON rows.plot_id = plots.id
+       WHERE plots.batch_id = $1 AND rows.retired_at IS NULL`,
+      [batchId]
+    );
+    const rowMap = new Map(rows.rows.map((row) => [`${row.plot_no}-${row.row_no}`, row.id]));
+
+    await withTransaction(async (tx) => {
+      for (const plant of plants) {
+        const plotNo = parsePositiveInt(plant.plot_no ?? plant.plotNo ?? plant.plot);
+        const rowNo = parsePositiveInt(plant.row_no ?? plant.rowNo ?? plant.row);
+        const plantNo = parsePositiveInt(plant.plant_no ?? plant.plantNo ?? plant.plant);
+        if (!plotNo || !plantNo) continue;
+        const plotId = plotMap.get(plotNo);
+        if (!plotId) continue;
+        const rowId = rowNo ? rowMap.get(`${plotNo}-${rowNo}`) : null;
+        await tx.query(
+          `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason, sampling_plan_id)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (plot_id, row_id, plant_no) WHERE status <> 'replaced'
+           DO UPDATE SET retired_at = NULL WHERE plants.retired_at IS NOT NULL`,
+          [plotId, rowId, plantNo, plant.tracking_reason || null, plant.sampling_plan_id || null]
+        );
+      }
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+function toPublicTrait(trait) {
+  return {
+    id: trait.id,
+    key: trait.key,
+    name: trait.name,
+    unit: trait.unit,
+    dataType: trait.data_type,
+    min: trait.min_value,
+    max: trait.max_value,
+    expectedDates: trait.expected_dates || [],
+    eventType: `${TRAIT_EVENT_PREFIX}${trait.key}`
+  };
+}
+
+// current is the stored trait when updating. The key is fixed once created
+// because it names the measurement event type.
+function validateTraitInput(body, current) {
+  const errors = [];
+  const values = {};
+  if (body.name !== undefined || !current) {
+    values.name = String(body.name || '').trim();
+    if (!values.name) errors.push('Trait name is required.');
+  }
+  if (!current) {
+    values.key = String(body.key || values.name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (values.name && !values.key) errors.push('Trait key must contain a letter or digit.');
+  } else if (body.key !== undefined && body.key !== current.key) {
+    errors.push('Trait key cannot be changed.');
+  }
+  if (body.unit !== undefined) {
+    values.unit = String(body.unit || '').trim() || null;
+  }
+  if (body.dataType !== undefined || !current) {
+    values.data_type = String(body.dataType || 'number').trim();
+    if (!TRAIT_DATA_TYPES.includes(values.data_type)) {
+      errors.push(`dataType must be ${TRAIT_DATA_TYPES.join(' or ')}.`);
+    }
+  }
+  ['min', 'max'].forEach((bound) => {
+    if (body[bound] === undefined) return;
+    if (body[bound] === null || body[bound] === '') {
+      values[`${bound}_value`] = null;
+      return;
+    }
+    const value = Number(body[bound]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${bound} must be a number.`);
+      return;
+    }
+    values[`${bound}_value`] = value;
+  });
+  const min = values.min_value !== undefined ? values.min_value : current?.min_value;
+  const max = values.max_value !== undefined ? values.max_value : current?.max_value;
+  if (min !== null && min !== undefined && max !== null && max !== undefined && min > max) {
+    errors.push('min cannot be greater than max.');
+  }
+  if (body.expectedDates !== undefined) {
+    const dates = Array.isArray(body.expectedDates)
+      ? body.expectedDates.map((date) => String(date || '').trim()).filter(Boolean)
+      : null;
+    const invalid = (dates || []).filter((date) => !isDateOnly(date));
+    if (!dates) {
+      errors.push('expectedDates must be a list of dates.');
+    } else if (invalid.length) {
+      errors.push(`expectedDates must be dates (YYYY-MM-DD): ${invalid.join(', ')}.`);
+    } else {
+      values.expected_dates = JSON.stringify([...new Set(dates)].sort());
+    }
+  }
+  return { errors, values };
+}
+
+// Count, mean, sample SD (null below two values), min and max.
+function summarizeValues(values) {
+  const count = values.length;
+  if (!count) return { count: 0, mean: null, sd: null, min: null, max: null };
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  const sd = count > 1
+    ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1))
+    : null;
+  return { count, mean, sd, min: Math.min(...values), max: Math.max(...values) };
+}
+
+// Randomises treatments over an existing batch's plots. Printed plot labels do
+// not show the new codes until they are reprinted.
+app.post('/api/batches/:id/design', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  let source = null;
+  try {
+    await ensureDbReady();
+    source = await loadBatchForExport(Number(req.params.id), getOrgId(req));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+  if (!source) return res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+  const lockError = getBatchLockError(source.batch, 'changing the design');
+  if (lockError) return res.status(409).json({ errors: [lockError], warnings: [] });
+  if (source.batch.design && req.body.replace !== true) {
+    return res.status(409).json({ errors: ['Batch already has a design. Send replace: true to re-randomise it.'], warnings: [] });
+  }
+
+  const validation = validatePayload(source.body);
+  if (!validation.ok) {
+    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
+  }
+  let design = null;
+  try {
+    design = buildExperimentalDesign(validation.values, req.body.design || req.body);
+  } catch (error) {
+    return res.status(400).json({ errors: [error.message], warnings: [] });
+  }
+
+  try {
+    await getPool().query('UPDATE batches SET design = $1 WHERE id = $2', [JSON.stringify(design), source.batch.id]);
+    res.json({ design });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+async function loadTraitBatch(db, req, res, action) {
+  const result = await db.query('SELECT * FROM batches WHERE id = $1 AND org_id = $2', [Number(req.params.id), getOrgId(req)]);
+  if (!result.rows.length) {
+    res.status(404).json({ errors: ['Batch not found.'], warnings: [] });
+    return null;
+  }
+  const lockError = action ? getBatchLockError(result.rows[0], action) : null;
+  if (lockError) {
+    res.status(409).json({ errors: [lockError], warnings: [] });
+    return null;
+  }
+  return result.rows[0];
+}
+
+async function loadTrait(db, batchId, key) {
+  const result = await db.query('SELECT * FROM traits WHERE batch_id = $1 AND key = $2', [batchId, String(key)]);
+  return result.rows[0] || null;
+}
+
+app.get('/api/batches/:id/traits', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batch = await loadTraitBatch(db, req, res);
+    if (!batch) return;
+    res.json({ traits: (await loadBatchTraits(db, batch.id)).map(toPublicTrait) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/batches/:id/traits', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const { errors, values } = validateTraitInput(req.body || {}, null);
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batch = await loadTraitBatch(db, req, res, 'changing traits');
+    if (!batch) return;
+    if (await loadTrait(db, batch.id, values.key)) {
+      return res.status(409).json({ errors: [`Trait ${values.key} already exists in this batch.`], warnings: [] });
+    }
+    const keys = Object.keys(values);
+    const result = await db.query(
+      `INSERT INTO traits (batch_id, ${keys.join(', ')})
+       VALUES ($1, ${keys.map((_, index) => `$${index + 2}`).join(', ')})
+       RETURNING *`,
+      [batch.id, ...keys.map((key) => values[key])]
+    );
+    res.json({ trait: toPublicTrait(result.rows[0]) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Changes apply to new measurements; values already recorded are kept.
+app.patch('/api/batches/:id/traits/:trait', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batch = await loadTraitBatch(db, req, res, 'changing traits');
+    if (!batch) return;
+    const current = await loadTrait(db, batch.id, req.params.trait);
+    if (!current) return res.status(404).json({ errors: ['Trait not found.'], warnings: [] });
+    const { errors, values } = validateTraitInput(req.body || {}, current);
+    if (!errors.length && !Object.keys(values).length) errors.push('No changes provided.');
+    if (errors.length) return res.status(400).json({ errors, warnings: [] });
+    const keys = Object.keys(values);
+    const result = await db.query(
+      `UPDATE traits SET ${keys.map((key, index) => `${key} = $${index + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [current.id, ...keys.map((key) => values[key])]
+    );
+    res.json({ trait: toPublicTrait(result.rows[0]) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.delete('/api/batches/:id/traits/:trait', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batch = await loadTraitBatch(db, req, res, 'changing traits');
+    if (!batch) return;
+    const current = await loadTrait(db, batch.id, req.params.trait);
+    if (!current) return res.status(404).json({ errors: ['Trait not found.'], warnings: [] });
+    const recorded = await db.query(
+      `SELECT COUNT(*)::int AS count FROM events
+       WHERE ${BATCH_EVENTS_FILTER} AND event_type = $2 AND deleted_at IS NULL`,
+      [batch.id, `${TRAIT_EVENT_PREFIX}${current.key}`]
+    );
+    if (recorded.rows[0].count) {
+      return res.status(409).json({
+        errors: [`${current.name} has ${recorded.rows[0].count} measurements. Delete them before removing the trait.`],
+        warnings: []
+      });
+    }
+    await db.query('DELETE FROM traits WHERE id = $1', [current.id]);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Optional measured_on=YYYY-MM-DD limits the summary to one measurement round.
+app.get('/api/batches/:id/traits/:trait/summary', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const measuredOn = req.query.measured_on ? String(req.query.measured_on) : null;
+  if (measuredOn && !isDateOnly(measuredOn)) {
+    return res.status(400).json({ errors: ['measured_on must be a date (YYYY-MM-DD).'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const batch = await loadTraitBatch(db, req, res);
+    if (!batch) return;
+    const trait = await loadTrait(db, batch.id, req.params.trait);
+    if (!trait) return res.status(404).json({ errors: ['Trait not found.'], warnings: [] });
+    const params = [batch.id, `${TRAIT_EVENT_PREFIX}${trait.key}`];
+    if (measuredOn) params.push(measuredOn);
+    const result = await db.query(
+      `SELECT (events.payload->>'value')::double precision AS value, plots.plot_no, rows.row_no
+       FROM events
+       JOIN plants ON events.entity_type = 'plant' AND events.entity_id = plants.id
+       JOIN plots ON plants.plot_id = plots.id
+       LEFT JOIN rows ON plants.row_id = rows.id
+       WHERE plots.batch_id = $1 AND events.event_type = $2 AND events.deleted_at IS NULL
+         ${measuredOn ? "AND events.payload->>'measuredOn' = $3" : ''}
+       ORDER BY plots.plot_no, rows.row_no`,
+      params
+    );
+    const plots = new Map();
+    result.rows.forEach((row) => {
+      if (!plots.has(row.plot_no)) plots.set(row.plot_no, { values: [], rows: new Map() });
+      const plot = plots.get(row.plot_no);
+      plot.values.push(row.value);
+      if (row.row_no === null || row.row_no === undefined) return;
+      if (!plot.rows.has(row.row_no)) plot.rows.set(row.row_no, []);
+      plot.rows.get(row.row_no).push(row.value);
+    });
+    res.json({
+      trait: toPublicTrait(trait),
+      measuredOn,
+      overall: summarizeValues(result.rows.map((row) => row.value)),
+      plots: Array.from(plots.entries()).map(([plotNo, plot]) => ({
+        plotNo,
+        ...summarizeValues(plot.values),
+        rows: Array.from(plot.rows.entries()).map(([rowNo, values]) => ({ rowNo, ...summarizeValues(values) }))
+      }))
+    });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Replanting at the same position: the plant is marked replaced and a successor
+// takes over its position, tracking reason and sampling plan. Responds with the
+// successor's label PDF, like a reprint.
+app.post('/api/plants/:id/replace', requireRole(ROLES.SUPERVISOR, API_SCOPES.EXPORT_LABELS), applyOrgQrBaseUrl, async (req, res) => {
+  const plantId = Number(req.params.id);
+  const body = req.body || {};
+  const layout = getLayoutOptions(body);
+  const layoutErrors = getLayoutErrors(layout);
+  if (layoutErrors.length) {
+    return res.status(400).json({ errors: layoutErrors, warnings: [] });
+  }
+  let batch = null;
+  let successor = null;
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    batch = await getEntityBatch(db, 'plant', plantId, getOrgId(req));
+    if (!batch) {
+      return res.status(404).json({ errors: ['Plant not found.'], warnings: [] });
+    }
+    const lockError = getBatchLockError(batch, 'replacing plants');
+    if (lockError) {
+      return res.status(409).json({ errors: [lockError], warnings: [] });
+    }
+    // Refuse up front when the batch cannot print, rather than after the
+    // plant has already been replaced.
+    const preflight = await readBatchExportSource(batch.id, getOrgId(req));
+    if (!preflight.source) {
+      return res.status(preflight.status).json({ errors: preflight.errors, warnings: preflight.warnings });
+    }
+    const note = body.note ? String(body.note).trim() : '';
+    successor = await withTransaction(async (tx) => {
+      const replaced = await tx.query(
+        `UPDATE plants SET status = $2, status_changed_at = NOW()
+         WHERE id = $1 AND status <> $2 AND retired_at IS NULL
+         RETURNING *`,
+        [plantId, PLANT_STATUSES.REPLACED]
+      );
+      if (!replaced.rows.length) return null;
+      const plant = replaced.rows[0];
+      const inserted = await tx.query(
+        `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason, sampling_plan_id, replaces_plant_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [plant.plot_id, plant.row_id, plant.plant_no, plant.tracking_reason, plant.sampling_plan_id, plant.id]
+      );
+      await tx.query(
+        `INSERT INTO events (entity_type, entity_id, event_type, payload, created_by)
+         VALUES ('plant', $1, $2, $3, $4)`,
+        [
+          plant.id,
+          PLANT_STATUS_EVENT,
+          { status: PLANT_STATUSES.REPLACED, successorPlantId: inserted.rows[0].id, ...(note ? { note } : {}) },
+          req.user.username
+        ]
+      );
+      return inserted.rows[0];
+    });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+  if (!successor) {
+    return res.status(409).json({ errors: [`Plant ${plantId} was already replaced or removed from the layout.`], warnings: [] });
+  }
+
+  // The replacement is committed, so a label failure from here on is reported
+  // as a warning with the successor's page instead of an error.
+  const plantUrl = getEntityPagePath('plant', successor.qr_token);
+  let source = null;
+  let selection = null;
+  let labelErrors = [];
+  try {
+    const result = await readBatchExportSource(batch.id, getOrgId(req));
+    source = result.source;
+    labelErrors = result.errors || [];
+  } catch (error) {
+    console.error('DB error:', error.message);
+    labelErrors = ['Database connection failed.'];
+  }
+  if (source) {
+    selection = selectReprintLabels({
+      values: source.values,
+      trackedPlants: source.trackedPlants,
+      dbResult: source.dbResult,
+      fullIds: [],
+      entities: [{ entityType: 'plant', entityId: successor.id }]
+    });
+    labelErrors = selection.errors;
+  }
+  res.setHeader('X-Batch-Id', String(batch.id));
+  res.setHeader('X-Plant-Id', String(successor.id));
+  res.setHeader('X-Plant-Url', plantUrl);
+  if (labelErrors.length) {
+    return res.json({
+      plantId: successor.id,
+      plantUrl,
+      warnings: [
+        `Plant replaced, but its label could not be generated (${labelErrors.join(' ')}). Reprint it with /api/batches/${batch.id}/reprint.`
+      ]
+    });
+  }
+  await sendLabelsPdf(res, {
+    body,
+    warnings: source.warnings,
+    dbResult: source.dbResult,
+    labelType: 'replacement',
+    layout,
+    labels: selection.labels
+  });
+});
+
+app.get('/api/plot/:id', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const plotId = Number(req.params.id);
+    const result = await db.query(
+      `SELECT plots.*, batches.site_name, batches.crop_type, batches.status AS batch_status
+       FROM plots
+       JOIN batches ON plots.batch_id = batches.id
+       WHERE plots.id = $1 AND batches.org_id = $2`,
+      [plotId, getOrgId(req)]
+    );
+    if (!result.rows.length) return res.status(404).json({ errors: ['Plot not found.'], warnings: [] });
+    res.json({ plot: result.rows[0] });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.get('/api/row/:id', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const rowId = Number(req.params.id);
+    const result = await db.query(
+      `SELECT rows.*, plots.plot_no, batches.site_name, batches.crop_type, batches.status AS batch_status
+       FROM rows
+       JOIN plots ON rows.plot_id = plots.id
+       JOIN batches ON plots.batch_id = batches.id
+       WHERE rows.id = $1 AND batches.org_id = $2`,
+      [rowId, getOrgId(req)]
+    );
+    if (!result.rows.length) return res.status(404).json({ errors: ['Row not found.'], warnings: [] });
+    res.json({ row: result.rows[0] });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.get('/api/plant/:id', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const plantId = Number(req.params.id);
+    const result = await db.query(
+      `SELECT plants.*, plots.plot_no, plots.batch_id, rows.row_no, batches.site_name, batches.crop_type, batches.status AS batch_status
+       FROM plants
+       JOIN plots ON plants.plot_id = plots.id
+       LEFT JOIN rows ON plants.row_id = rows.id
+       JOIN batches ON plots.batch_id = batches.id
+       WHERE plants.id = $1 AND batches.org_id = $2`,
+      [plantId, getOrgId(req)]
+    );
+    if (!result.rows.length) return res.status(404).json({ errors: ['Plant not found.'], warnings: [] });
+    res.json({ plant: result.rows[0] });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Multipart requests carry photos plus the usual fields as strings; JSON
+// requests pass straight through. Upload limits come back as 400s.
+function acceptEventPhotos(req, res, next) {
+  upload.array('photos', EVENT_PHOTOS.maxFiles)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'Each photo must be 5 MB or smaller.'
+        : error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Attach at most ${EVENT_PHOTOS.maxFiles} photos, in the photos field.`
+          : error.message;
+      return res.status(400).json({ errors: [message], warnings: [] });
+    }
+    return next(error);
+  });
+}
+
+async function prepareEventPhotos(files) {
+  const errors = [];
+  const photos = [];
+  for (const [index, file] of (files || []).entries()) {
+    if (!EVENT_PHOTOS.contentTypes.includes(file.mimetype)) {
+      errors.push(`${file.originalname || `Photo ${index + 1}`}: use a JPEG, PNG or WebP image.`);
+      continue;
+    }
+    try {
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(EVENT_PHOTOS.thumbnailPx, EVENT_PHOTOS.thumbnailPx, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+      photos.push({ file, thumbnail });
+    } catch (error) {
+      errors.push(`${file.originalname || `Photo ${index + 1}`}: the image could not be read.`);
+    }
+  }
+  return { errors, photos };
+}
+
+function describeAttachment(eventId, attachment) {
+  const url = `/api/events/${eventId}/attachments/${attachment.position}`;
+  return {
+    position: attachment.position,
+    fileName: attachment.file_name,
+    contentType: attachment.content_type,
+    sizeBytes: attachment.size_bytes,
+    url,
+    thumbnailUrl: `${url}/thumbnail`
+  };
+}
+
+// A retried POST with a key that was already stored gets the original event
+// back instead of a duplicate. Keys are only honoured for the account that used them.
+async function replayIdempotentEvent(db, idempotencyKey, createdBy, orgId) {
+  const result = await db.query('SELECT * FROM events WHERE idempotency_key = $1', [idempotencyKey]);
+  if (!result.rows.length) return null;
+  const event = result.rows[0];
+  const batch = await getEntityBatch(db, event.entity_type, event.entity_id, orgId);
+  if (!batch || event.created_by !== createdBy) {
+    return { status: 409, body: { errors: ['Idempotency-Key was already used for another event.'], warnings: [] } };
+  }
+  const attachments = await db.query(
+    `SELECT event_id, position, file_name, content_type, size_bytes FROM event_attachments
+     WHERE event_id = $1
+     ORDER BY position`,
+    [event.id]
+  );
+  return {
+    status: 200,
+    body: {
+      event: { ...event, attachments: attachments.rows.map((attachment) => describeAttachment(event.id, attachment)) },
+      warnings: [],
+      replayed: true
+    }
+  };
+}
+
+app.post('/api/events', requireRole(ROLES.FIELD_WORKER, API_SCOPES.WRITE_EVENTS), acceptEventPhotos, async (req, res) => {
+  const entityType = String(req.body.entityType || '').toLowerCase();
+  const entityId = Number(req.body.entityId);
+  const eventType = String(req.body.eventType || '').trim();
+  let payload = req.body.payload || null;
+  const createdBy = req.user.username;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+  if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({ errors: ['Idempotency-Key must be 8-100 letters, digits, - or _.'], warnings: [] });
+  }
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      return res.status(400).json({ errors: ['payload must be a JSON object.'], warnings: [] });
+    }
+  }
+  if (!EVENT_ENTITY_TYPES.includes(entityType)) {
+    return res.status(400).json({ errors: ['entityType must be batch, plot, row, or plant.'], warnings: [] });
+  }
+  if (!entityId || !eventType) {
+    return res.status(400).json({ errors: ['entityId and eventType are required.'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    if (idempotencyKey) {
+      const replay = await replayIdempotentEvent(db, idempotencyKey, createdBy, getOrgId(req));
+      if (replay) return res.status(replay.status).json(replay.body);
+    }
+    const batch = await getEntityBatch(db, entityType, entityId, getOrgId(req));
+    if (!batch) {
+      return res.status(404).json({ errors: [`${entityType} ${entityId} not found.`], warnings: [] });
+    }
+    const lockError = getBatchLockError(batch, 'logging events');
+    if (lockError) {
+      return res.status(409).json({ errors: [lockError], warnings: [] });
+    }
+    const traits = entityType === 'plant' ? await loadBatchTraits(db, batch.id) : [];
+    const checked = validateEventPayload(getEventTypes(batch.crop_type, entityType, traits), eventType, payload);
+    const prepared = await prepareEventPhotos(req.files);
+    const errors = [...checked.errors, ...prepared.errors];
+    if (errors.length) {
+      return res.status(400).json({ errors, warnings: checked.warnings });
+    }
+    if (eventType === PLANT_STATUS_EVENT) {
+      const plant = await db.query('SELECT status FROM plants WHERE id = $1', [entityId]);
+      if (plant.rows[0].status === PLANT_STATUSES.REPLACED) {
+        return res.status(409).json({ errors: [`Plant ${entityId} was replaced. Log its status on the replacement plant.`], warnings: [] });
+      }
+    }
+    const saved = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO events (entity_type, entity_id, event_type, payload, created_by, idempotency_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [entityType, entityId, eventType, checked.payload, createdBy, idempotencyKey]
+      );
+      const event = result.rows[0];
+      if (eventType === PLANT_STATUS_EVENT) await syncPlantStatus(tx, entityId);
+      const attachments = [];
+      for (const [index, photo] of prepared.photos.entries()) {
+        const inserted = await tx.query(
+          `INSERT INTO event_attachments (event_id, position, file_name, content_type, size_bytes, data, thumbnail)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING event_id, position, file_name, content_type, size_bytes`,
+          [event.id, index + 1, photo.file.originalname || null, photo.file.mimetype, photo.file.size, photo.file.buffer, photo.thumbnail]
+        );
+        attachments.push(describeAttachment(event.id, inserted.rows[0]));
+      }
+      return { event, attachments };
+    });
+    res.json({ event: { ...saved.event, attachments: saved.attachments }, warnings: checked.warnings });
+  } catch (error) {
+    // Two deliveries of the same queued event raced; the loser answers like a retry.
+    if (idempotencyKey && error.code === '23505') {
+      const replay = await replayIdempotentEvent(getPool(), idempotencyKey, createdBy, getOrgId(req)).catch(() => null);
+      if (replay) return res.status(replay.status).json(replay.body);
+    }
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+async function sendEventAttachment(req, res, column) {
+  const eventId = Number(req.params.id);
+  const position = Number(req.params.n);
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const result = await db.query(
+      `SELECT file_name, content_type, ${column} AS content FROM event_attachments
+       WHERE event_id = $1 AND position = $2`,
+      [eventId, position]
+    );
+    if (!result.rows.length || !(await loadOrgEvent(db, eventId, getOrgId(req)))) {
+      return res.status(404).json({ errors: ['Attachment not found.'], warnings: [] });
+    }
+    const attachment = result.rows[0];
+    const isThumbnail = column === 'thumbnail';
+    res.setHeader('Content-Type', isThumbnail ? 'image/jpeg' : attachment.content_type);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    if (!isThumbnail && attachment.file_name) {
+      res.setHeader('Content-Disposition', `inline; filename="${attachment.file_name.replace(/["\\\r\n]/g, '_')}"`);
+    }
+    res.send(Buffer.from(attachment.content));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+}
+
+app.get('/api/events/:id/attachments/:n', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), (req, res) => sendEventAttachment(req, res, 'data'));
+app.get('/api/events/:id/attachments/:n/thumbnail', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), (req, res) => sendEventAttachment(req, res, 'thumbnail'));
+
+app.get('/api/event-types', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), (req, res) => {
+  res.json({ eventTypes: describeEventTypes(getEventTypes(req.query.crop, req.query.entity_type)) });
+});
+
+app.get('/api/events', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const entityType = String(req.query.entity_type || '').toLowerCase();
+  const entityId = Number(req.query.entity_id);
+  if (!entityType || !entityId) {
+    return res.status(400).json({ errors: ['entity_type and entity_id are required.'], warnings: [] });
+  }
+  const includeDeleted = req.query.include_deleted === '1' || req.query.include_deleted === 'true';
+  const includeAncestors = req.query.include_ancestors === '1' || req.query.include_ancestors === 'true';
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    if (!(await getEntityBatch(db, entityType, entityId, getOrgId(req)))) {
+      return res.status(404).json({ errors: [`${entityType} ${entityId} not found.`], warnings: [] });
+    }
+    const events = await loadEntityEvents(db, entityType, entityId, { includeDeleted, includeAncestors });
+    res.json({ events });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Supervisors can correct anyone's events; field workers and API keys only their own.
+function canChangeEvent(user, event) {
+  if (user && user.apiKey) return event.created_by === user.username;
+  if (hasRole(user, ROLES.SUPERVISOR)) return true;
+  return hasRole(user, ROLES.FIELD_WORKER) && Boolean(event.created_by) && event.created_by === user.username;
+}
+
+// An event together with its batch, or null when the event is missing or
+// belongs to another organisation.
+async function loadOrgEvent(db, eventId, orgId) {
+  const result = await db.query('SELECT * FROM events WHERE id = $1', [eventId]);
+  if (!result.rows.length) return null;
+  const event = result.rows[0];
+  const batch = await getEntityBatch(db, event.entity_type, event.entity_id, orgId);
+  return batch ? { event, batch } : null;
+}
+
+async function loadEventForChange(db, eventId, user) {
+  const found = await loadOrgEvent(db, eventId, String(user.org_id));
+  if (!found) return { status: 404, errors: ['Event not found.'] };
+  const { event, batch } = found;
+  if (!canChangeEvent(user, event)) return { status: 403, errors: ['You can only change events you logged.'] };
+  if (event.deleted_at) return { status: 409, errors: ['Event has been deleted.'] };
+  const lockError = getBatchLockError(batch, 'changing events');
+  if (lockError) return { status: 409, errors: [lockError] };
+  return { event, batch };
+}
+
+app.patch('/api/events/:id', requireRole(ROLES.FIELD_WORKER, API_SCOPES.WRITE_EVENTS), async (req, res) => {
+  const eventId = Number(req.params.id);
+  const body = req.body || {};
+  const hasEventType = body.eventType !== undefined;
+  const hasPayload = body.payload !== undefined;
+  const eventType = hasEventType ? String(body.eventType || '').trim() : null;
+  if (!hasEventType && !hasPayload) {
+    return res.status(400).json({ errors: ['Provide eventType or payload to update.'], warnings: [] });
+  }
+  if (hasEventType && !eventType) {
+    return res.status(400).json({ errors: ['eventType cannot be empty.'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const loaded = await loadEventForChange(db, eventId, req.user);
+    if (loaded.errors) {
+      return res.status(loaded.status).json({ errors: loaded.errors, warnings: [] });
+    }
+    const current = loaded.event;
+    if (isReplacementEvent(current)) {
+      return res.status(409).json({ errors: ['Replacement events cannot be changed.'], warnings: [] });
+    }
+    const nextEventType = hasEventType ? eventType : current.event_type;
+    let nextPayload = hasPayload ? body.payload || null : current.payload;
+    let warnings = [];
+    const traits = current.entity_type === 'plant' ? await loadBatchTraits(db, loaded.batch.id) : [];
+    const eventTypes = getEventTypes(loaded.batch && loaded.batch.crop_type, current.entity_type, traits);
+    // Types outside the registry (e.g. reprinted) can keep their payload as-is,
+    // but an event cannot be switched to one.
+    if (eventTypes[nextEventType] || nextEventType !== current.event_type) {
+      const checked = validateEventPayload(eventTypes, nextEventType, nextPayload);
+      if (checked.errors.length) {
+        return res.status(400).json({ errors: checked.errors, warnings: checked.warnings });
+      }
+      nextPayload = checked.payload;
+      warnings = checked.warnings;
+    }
+    if (nextEventType === current.event_type && JSON.stringify(nextPayload) === JSON.stringify(current.payload)) {
+      return res.json({ event: current, warnings: ['Nothing changed.'] });
+    }
+    const updated = await withTransaction(async (tx) => {
+      await tx.query(
+        `INSERT INTO event_revisions
+         (event_id, action, previous_event_type, previous_payload, event_type, payload, reason, changed_by)
+         VALUES ($1, 'update', $2, $3, $4, $5, $6, $7)`,
+        [eventId, current.event_type, current.payload, nextEventType, nextPayload, body.reason || null, req.user.username]
+      );
+      const result = await tx.query(
+        `UPDATE events SET event_type = $2, payload = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [eventId, nextEventType, nextPayload]
+      );
+      if (current.entity_type === 'plant' && [current.event_type, nextEventType].includes(PLANT_STATUS_EVENT)) {
+        await syncPlantStatus(tx, current.entity_id);
+      }
+      return result.rows[0];
+    });
+    res.json({ event: updated, warnings });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+// Soft delete: the row stays so scan pages can show it greyed out and the
+// revision history keeps who removed it and why.
+app.delete('/api/events/:id', requireRole(ROLES.FIELD_WORKER, API_SCOPES.WRITE_EVENTS), async (req, res) => {
+  const eventId = Number(req.params.id);
+  const body = req.body || {};
+  const changedBy = req.user.username;
+  const reason = body.reason || req.query.reason || null;
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const loaded = await loadEventForChange(db, eventId, req.user);
+    if (loaded.errors) {
+      return res.status(loaded.status).json({ errors: loaded.errors, warnings: [] });
+    }
+    const current = loaded.event;
+    if (isReplacementEvent(current)) {
+      return res.status(409).json({ errors: ['Replacement events cannot be changed.'], warnings: [] });
+    }
+    const deleted = await withTransaction(async (tx) => {
+      await tx.query(
+        `INSERT INTO event_revisions
+         (event_id, action, previous_event_type, previous_payload, reason, changed_by)
+         VALUES ($1, 'delete', $2, $3, $4, $5)`,
+        [eventId, current.event_type, current.payload, reason, changedBy]
+      );
+      const result = await tx.query(
+        `UPDATE events SET deleted_at = NOW(), deleted_by = $2
+         WHERE id = $1
+         RETURNING *`,
+        [eventId, changedBy]
+      );
+      if (current.entity_type === 'plant' && current.event_type === PLANT_STATUS_EVENT) {
+        await syncPlantStatus(tx, current.entity_id);
+      }
+      return result.rows[0];
+    });
+    res.json({ event: deleted, warnings: [] });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.get('/api/events/:id/revisions', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const eventId = Number(req.params.id);
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const found = await loadOrgEvent(db, eventId, getOrgId(req));
+    if (!found) {
+      return res.status(404).json({ errors: ['Event not found.'], warnings: [] });
+    }
+    const result = await db.query(
+      'SELECT * FROM event_revisions WHERE event_id = $1 ORDER BY changed_at, id',
+      [eventId]
+    );
+    res.json({ event: found.event, revisions: result.rows });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+function renderPageShell(title, bodyHtml) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="theme-color" content="#f26b3a" />
+  <link rel="manifest" href="/manifest.webmanifest" />
+  <link rel="icon" href="/icon.svg" type="image/svg+xml" />
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; background: #f7f2ec; color: #111; }
+    .card { max-width: 720px; margin: 24px auto; background: #fff; border-radius: 16px; padding: 20px; box-shadow: 0 10px 30px rgba(0,0,0,0.08); }
+    h1 { font-size: 22px; margin: 0 0 8px; }
+    .meta { color: #555; margin-bottom: 12px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; }
+    .label { font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em; color: #666; }
+    .value { font-size: 16px; font-weight: 600; }
+    .actions { margin-top: 16px; display: flex; gap: 10px; flex-wrap: wrap; }
+    button { border: none; border-radius: 999px; padding: 10px 16px; background: #f26b3a; color: #fff; font-size: 14px; }
+    .section { margin-top: 20px; }
+    .section h2 { margin: 0 0 8px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.12em; color: #666; }
+    .form-row { display: flex; gap: 8px; flex-wrap: wrap; }
+    input, select { padding: 8px 10px; border: 1px solid #ddd; border-radius: 10px; font-size: 14px; }
+    .events { display: grid; gap: 10px; }
+    .event { padding: 10px; border: 1px solid #eee; border-radius: 12px; background: #fafafa; }
+    .event-meta { font-size: 12px; color: #666; }
+    .event-type { font-weight: 600; margin-top: 4px; }
+    .event-note { margin-top: 4px; font-size: 14px; color: #222; }
+    .status { margin-top: 6px; font-size: 12px; color: #2a6a4f; }
+    .empty { font-size: 13px; color: #777; }
+    .event-photos { margin-top: 8px; display: flex; gap: 6px; flex-wrap: wrap; }
+    .event-photos img { width: 96px; height: 96px; object-fit: cover; border-radius: 8px; border: 1px solid #eee; }
+    .event.inherited { background: #fff; border-style: dashed; }
+    .event.deleted { opacity: 0.5; }
+    .event.deleted .event-type, .event.deleted .event-note { text-decoration: line-through; }
+    .event-actions { margin-top: 6px; display: flex; gap: 12px; }
+    button.link { background: none; color: #f26b3a; padding: 0; font-size: 13px; }
+    .event-edit { margin-top: 8px; }
+    .hidden { display: none; }
+    .notice { margin: 12px 0; padding: 10px 12px; border-radius: 12px; background: #fff4e5; color: #8a4b00; font-size: 14px; }
+    .notice.verified { background: #e7f4ec; color: #2a6a4f; }
+    .notice.invalid { background: #fbe9e9; color: #a12a2a; }
+    .sync-indicator { margin: 0 0 8px; display: flex; gap: 10px; align-items: center; font-size: 13px; color: #2a6a4f; }
+    .sync-indicator.pending { color: #8a4b00; }
+    .sync-indicator.failed { color: #a12a2a; }
+    .event.pending { background: #fff; border-style: dashed; border-color: #f2b28f; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    ${bodyHtml}
+  </div>
+  <script src="/event-queue.js"></script>
+</body>
+</html>`;
+}
+
+function getSafeNext(value) {
+  const next = String(value || '');
+  return next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+function validateAccountInput(body, { requirePassword }) {
+  const errors = [];
+  const username = String(body.username || '').trim().toLowerCase();
+  const password = body.password === undefined ? '' : String(body.password);
+  if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+    errors.push('Username must be 3-40 characters: letters, numbers, dot, dash or underscore.');
+  }
+  if ((requirePassword || password) && password.length < 8) {
+    errors.push('Password must be at least 8 characters.');
+  }
+  return { errors, username, password };
+}
+
+async function countUsers(db) {
+  const result = await db.query('SELECT COUNT(*) AS count FROM users');
+  return Number(result.rows[0].count);
+}
+
+app.get('/login', async (req, res) => {
+  try {
+    await ensureDbReady();
+    const needsSetup = (await countUsers(getPool())) === 0;
+    const next = getSafeNext(req.query.next);
+    const body = `
+      <h1>${needsSetup ? 'Create the first admin' : 'Sign in'}</h1>
+      <div class="meta">${needsSetup
+        ? 'No accounts exist yet. The account you create here can add everyone else.'
+        : 'Farm Label Generator'}</div>
+      <form id="loginForm" data-endpoint="${needsSetup ? '/api/auth/setup' : '/api/auth/login'}" data-next="${escapeHtml(next)}">
+        <div class="form-row">
+          <input type="text" name="username" placeholder="Username" autocomplete="username" required />
+          <input type="password" name="password" placeholder="Password" autocomplete="${needsSetup ? 'new-password' : 'current-password'}" required />
+          ${needsSetup ? '<input type="text" name="displayName" placeholder="Display name (optional)" />' : ''}
+          <button type="submit">${needsSetup ? 'Create admin' : 'Sign in'}</button>
+        </div>
+      </form>
+      <div id="loginStatus" class="status"></div>
+      <script>
+        (() => {
+          const form = document.getElementById('loginForm');
+          const status = document.getElementById('loginStatus');
+          form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            status.textContent = 'Signing in...';
+            try {
+              const response = await fetch(form.dataset.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                status.textContent = data.errors ? data.errors.join(', ') : 'Sign in failed.';
+                return;
+              }
+              window.location.href = form.dataset.next;
+            } catch (error) {
+              status.textContent = 'Sign in failed.';
+            }
+          });
+        })();
+      </script>
+    `;
+    res.send(renderPageShell('Sign in', body));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).send('Database connection failed. Check DATABASE_URL.');
+  }
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+  const body = req.body || {};
+  const { errors, username, password } = validateAccountInput(body, { requirePassword: true });
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    if ((await countUsers(db)) > 0) {
+      return res.status(409).json({ errors: ['Accounts already exist. Ask an admin to add you.'], warnings: [] });
+    }
+    const passwordHash = await hashPassword(password);
+    // The lock makes concurrent setup requests queue, so only the first one
+    // still sees an empty users table and becomes admin.
+    const user = await withTransaction(async (tx) => {
+      await tx.query('LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE');
+      if ((await countUsers(tx)) > 0) return null;
+      const result = await tx.query(
+        `INSERT INTO users (username, display_name, password_hash, role, org_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [username, String(body.displayName || '').trim() || null, passwordHash, ROLES.ADMIN, DEFAULT_ORG_ID]
+      );
+      return result.rows[0];
+    });
+    if (!user) {
+      return res.status(409).json({ errors: ['Accounts already exist. Ask an admin to add you.'], warnings: [] });
+    }
+    await createSession(db, req, res, user);
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const username = String((req.body || {}).username || '').trim().toLowerCase();
+  const password = String((req.body || {}).password || '');
+  if (!username || !password) {
+    return res.status(400).json({ errors: ['Username and password are required.'], warnings: [] });
+  }
+  try {
+    await ensureDbReady();
+    const db = getPool();
+    const result = await db.query('SELECT * FROM users WHERE username = $1', [username]);
+    const user = result.rows[0];
+    const valid = user ? await verifyPassword(password, user.password_hash) : false;
+    if (!valid || user.disabled_at) {
+      return res.status(401).json({ errors: ['Username or password is incorrect.'], warnings: [] });
+    }
+    await createSession(db, req, res, user);
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await getPool().query('DELETE FROM sessions WHERE id = $1', [req.sessionId]);
+    }
+  } catch (error) {
+    console.error('DB error:', error.message);
+  }
+  setSessionCookie(req, res, '', 0);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireRole(ROLES.VIEWER), (req, res) => {
+  res.json({
+    user: toPublicUser(req.user),
+    organisation: {
+      id: req.user.org_id,
+      name: req.user.org_name,
+      qrBaseUrl: req.user.org_qr_base_url || DEFAULT_QR.baseUrl
+    }
+  });
+});
+
+function toPublicOrganisation(org) {
+  return {
+    id: org.id,
+    name: org.name,
+    qrBaseUrl: org.qr_base_url || null,
+    createdAt: org.created_at
+  };
+}
+
+// Blank clears the farm's QR base URL so labels use the global default again.
+function validateOrganisationInput(body, { requireName }) {
+  const errors = [];
+  const values = {};
+  if (body.name !== undefined || requireName) {
+    values.name = String(body.name || '').trim();
+    if (!values.name) errors.push('Organisation name is required.');
+  }
+  if (body.qrBaseUrl !== undefined) {
+    values.qr_base_url = String(body.qrBaseUrl || '').trim().replace(/\/+$/, '') || null;
+    if (values.qr_base_url && !/^https?:\/\/[^\s/]+/i.test(values.qr_base_url)) {
+      errors.push('QR base URL must start with http:// or https://.');
+    }
+  }
+  return { errors, values };
+}
+
+async function organisationExists(db, orgId) {
+  if (!/^\d+$/.test(String(orgId))) return false;
+  const result = await db.query('SELECT id FROM organisations WHERE id = $1', [orgId]);
+  return result.rows.length > 0;
+}
+
+app.get('/api/organisations', requireRole(ROLES.ADMIN), requireSuperAdmin, async (_req, res) => {
+  try {
+    const result = await getPool().query('SELECT * FROM organisations ORDER BY name');
+    res.json({ organisations: result.rows.map(toPublicOrganisation) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/organisations', requireRole(ROLES.ADMIN), requireSuperAdmin, async (req, res) => {
+  const { errors, values } = validateOrganisationInput(req.body || {}, { requireName: true });
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  try {
+    const db = getPool();
+    const existing = await db.query('SELECT id FROM organisations WHERE LOWER(name) = LOWER($1)', [values.name]);
+    if (existing.rows.length) {
+      return res.status(409).json({ errors: [`Organisation ${values.name} already exists.`], warnings: [] });
+    }
+    const result = await db.query(
+      'INSERT INTO organisations (name, qr_base_url) VALUES ($1, $2) RETURNING *',
+      [values.name, values.qr_base_url || null]
+    );
+    res.json({ organisation: toPublicOrganisation(result.rows[0]) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.patch('/api/organisations/:id', requireRole(ROLES.ADMIN), requireSuperAdmin, async (req, res) => {
+  const { errors, values } = validateOrganisationInput(req.body || {}, { requireName: false });
+  if (!errors.length && !Object.keys(values).length) errors.push('No changes provided.');
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  try {
+    const db = getPool();
+    if (values.name) {
+      const existing = await db.query(
+        'SELECT id FROM organisations WHERE LOWER(name) = LOWER($1) AND id <> $2',
+        [values.name, Number(req.params.id)]
+      );
+      if (existing.rows.length) {
+        return res.status(409).json({ errors: [`Organisation ${values.name} already exists.`], warnings: [] });
+      }
+    }
+    const keys = Object.keys(values);
+    const result = await db.query(
+      `UPDATE organisations SET ${keys.map((key, index) => `${key} = $${index + 2}`).join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [Number(req.params.id), ...keys.map((key) => values[key])]
+    );
+    if (!result.rows.length) {
+      return res.status(404).json({ errors: ['Organisation not found.'], warnings: [] });
+    }
+    res.json({ organisation: toPublicOrganisation(result.rows[0]) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.get('/api/users', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await getPool().query('SELECT * FROM users WHERE org_id = $1 ORDER BY username', [getOrgId(req)]);
+    res.json({ users: result.rows.map(toPublicUser) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/users', requireRole(ROLES.ADMIN), async (req, res) => {
+  const body = req.body || {};
+  const { errors, username, password } = validateAccountInput(body, { requirePassword: true });
+  const role = String(body.role || '');
+  const orgId = body.orgId ? String(body.orgId) : getOrgId(req);
+  if (!ROLE_ORDER.includes(role)) errors.push(`role must be one of: ${ROLE_ORDER.join(', ')}.`);
+  if (orgId !== getOrgId(req) && !isSuperAdmin(req.user)) {
+    errors.push('Only a super-admin can add users to another organisation.');
+  }
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+  try {
+    const db = getPool();
+    const existing = await db.query('SELECT id FROM users WHERE username = $1', [username]);
+    if (existing.rows.length) {
+      return res.status(409).json({ errors: [`Username ${username} is already taken.`], warnings: [] });
+    }
+    if (!(await organisationExists(db, orgId))) {
+      return res.status(400).json({ errors: ['Organisation not found.'], warnings: [] });
     }
+    const result = await db.query(
+      `INSERT INTO users (username, display_name, password_hash, role, org_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [username, String(body.displayName || '').trim() || null, await hashPassword(password), role, orgId]
+    );
+    res.json({ user: toPublicUser(result.rows[0]) });
+  } catch (error) {
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-app.post('/api/batches/:id/plants', async (req, res) => {
-  const batchId = Number(req.params.id);
-  const plants = Array.isArray(req.body.plants) ? req.body.plants : [];
-  if (!plants.length) {
-    return res.status(400).json({ errors: ['Plant list is required.'], warnings: [] });
+app.patch('/api/users/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  const userId = Number(req.params.id);
+  const body = req.body || {};
+  const errors = [];
+  const updates = {};
+  if (body.role !== undefined) {
+    if (!ROLE_ORDER.includes(body.role)) errors.push(`role must be one of: ${ROLE_ORDER.join(', ')}.`);
+    updates.role = body.role;
+  }
+  if (body.displayName !== undefined) {
+    updates.display_name = String(body.displayName || '').trim() || null;
+  }
+  if (body.password !== undefined) {
+    if (String(body.password).length < 8) errors.push('Password must be at least 8 characters.');
+    else updates.password_hash = await hashPassword(String(body.password));
   }
+  if (body.disabled !== undefined) {
+    updates.disabled_at = body.disabled ? new Date() : null;
+  }
+  if (body.orgId !== undefined) {
+    updates.org_id = String(body.orgId || '');
+    if (updates.org_id === getOrgId(req)) delete updates.org_id;
+    else if (!isSuperAdmin(req.user)) errors.push('Only a super-admin can move users to another organisation.');
+  }
+  if (!errors.length && !Object.keys(updates).length) errors.push('No changes provided.');
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
+
   try {
-    await ensureCoreDbReady();
     const db = getPool();
-    const plots = await db.query('SELECT id, plot_no FROM plots WHERE batch_id = $1', [batchId]);
-    const plotMap = new Map(plots.rows.map((plot) => [plot.plot_no, plot.id]));
-    const rows = await db.query(
-      `SELECT rows.id, rows.row_no, plots.plot_no
-       FROM rows
-       JOIN plots ON rows.plot_id = plots.id
-       WHERE plots.batch_id = $1`,
-      [batchId]
-    );
-    const rowMap = new Map(rows.rows.map((row) => [`${row.plot_no}-${row.row_no}`, row.id]));
-
-    await db.query('BEGIN');
-    for (const plant of plants) {
-      const plotNo = parsePositiveInt(plant.plot_no ?? plant.plotNo ?? plant.plot);
-      const rowNo = parsePositiveInt(plant.row_no ?? plant.rowNo ?? plant.row);
-      const plantNo = parsePositiveInt(plant.plant_no ?? plant.plantNo ?? plant.plant);
-      if (!plotNo || !plantNo) continue;
-      const plotId = plotMap.get(plotNo);
-      if (!plotId) continue;
-      const rowId = rowNo ? rowMap.get(`${plotNo}-${rowNo}`) : null;
-      await db.query(
-        `INSERT INTO plants (plot_id, row_id, plant_no, tracking_reason, sampling_plan_id)
-         VALUES ($1, $2, $3, $4, $5)
-         ON CONFLICT (plot_id, row_id, plant_no) DO NOTHING`,
-        [plotId, rowId, plantNo, plant.tracking_reason || null, plant.sampling_plan_id || null]
+    if (updates.org_id !== undefined && !(await organisationExists(db, updates.org_id || null))) {
+      return res.status(400).json({ errors: ['Organisation not found.'], warnings: [] });
+    }
+    const result = await db.query('SELECT * FROM users WHERE id = $1 AND org_id = $2', [userId, getOrgId(req)]);
+    if (!result.rows.length) {
+      return res.status(404).json({ errors: ['User not found.'], warnings: [] });
+    }
+    const user = result.rows[0];
+    const losesAdmin = user.role === ROLES.ADMIN && !user.disabled_at
+      && ((updates.role && updates.role !== ROLES.ADMIN) || updates.disabled_at || updates.org_id);
+    if (losesAdmin) {
+      const admins = await db.query(
+        'SELECT COUNT(*) AS count FROM users WHERE role = $1 AND disabled_at IS NULL AND id <> $2 AND org_id = $3',
+        [ROLES.ADMIN, userId, getOrgId(req)]
       );
+      if (Number(admins.rows[0].count) === 0) {
+        return res.status(409).json({ errors: ['Keep at least one active admin.'], warnings: [] });
+      }
     }
-    await db.query('COMMIT');
-    res.json({ ok: true });
+    const keys = Object.keys(updates);
+    const updated = await withTransaction(async (tx) => {
+      const updateResult = await tx.query(
+        `UPDATE users SET ${keys.map((key, index) => `${key} = $${index + 3}`).join(', ')}
+         WHERE id = $1 AND org_id = $2
+         RETURNING *`,
+        [userId, getOrgId(req), ...keys.map((key) => updates[key])]
+      );
+      // A new password or a disabled account signs the user out everywhere.
+      if (updates.password_hash || updates.disabled_at) {
+        await tx.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+      }
+      return updateResult.rows[0];
+    });
+    res.json({ user: toPublicUser(updated) });
   } catch (error) {
-    try {
-      const db = getPool();
-      await db.query('ROLLBACK');
-    } catch (rollbackError) {
-      // ignore
-    }
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-app.get('/api/plot/:id', async (req, res) => {
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    orgId: apiKey.org_id,
+    createdAt: apiKey.created_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at
+  };
+}
+
+app.get('/api/api-keys', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    await ensureCoreDbReady();
-    const db = getPool();
-    const plotId = Number(req.params.id);
-    const result = await db.query(
-      `SELECT plots.*, batches.site_name, batches.crop_type
-       FROM plots
-       JOIN batches ON plots.batch_id = batches.id
-       WHERE plots.id = $1`,
-      [plotId]
+    const result = await getPool().query(
+      'SELECT * FROM api_keys WHERE org_id = $1 ORDER BY created_at DESC, id DESC',
+      [getOrgId(req)]
     );
-    if (!result.rows.length) return res.status(404).json({ errors: ['Plot not found.'], warnings: [] });
-    res.json({ plot: result.rows[0] });
+    res.json({ apiKeys: result.rows.map(toPublicApiKey) });
   } catch (error) {
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-app.get('/api/row/:id', async (req, res) => {
+// The token is only returned here; the table keeps its hash and a short prefix
+// so admins can tell keys apart.
+app.post('/api/api-keys', requireRole(ROLES.ADMIN), async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  const name = String(body.name || '').trim();
+  const scopes = [...new Set(Array.isArray(body.scopes) ? body.scopes.map(String) : [])];
+  const validScopes = Object.values(API_SCOPES);
+  if (!name) errors.push('Key name is required.');
+  if (!scopes.length) errors.push('Pick at least one scope.');
+  const unknown = scopes.filter((scope) => !validScopes.includes(scope));
+  if (unknown.length) errors.push(`Unknown scopes: ${unknown.join(', ')}. Use: ${validScopes.join(', ')}.`);
+  if (errors.length) return res.status(400).json({ errors, warnings: [] });
   try {
-    await ensureCoreDbReady();
-    const db = getPool();
-    const rowId = Number(req.params.id);
-    const result = await db.query(
-      `SELECT rows.*, plots.plot_no, batches.site_name, batches.crop_type
-       FROM rows
-       JOIN plots ON rows.plot_id = plots.id
-       JOIN batches ON plots.batch_id = batches.id
-       WHERE rows.id = $1`,
-      [rowId]
+    const token = `fgk_${crypto.randomBytes(24).toString('base64url')}`;
+    const result = await getPool().query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, org_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, token.slice(0, 8), hashToken(token), JSON.stringify(scopes), req.user.id, getOrgId(req)]
     );
-    if (!result.rows.length) return res.status(404).json({ errors: ['Row not found.'], warnings: [] });
-    res.json({ row: result.rows[0] });
+    res.json({ apiKey: toPublicApiKey(result.rows[0]), token });
   } catch (error) {
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-app.get('/api/plant/:id', async (req, res) => {
+app.delete('/api/api-keys/:id', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    await ensureCoreDbReady();
-    const db = getPool();
-    const plantId = Number(req.params.id);
-    const result = await db.query(
-      `SELECT plants.*, plots.plot_no, rows.row_no, batches.site_name, batches.crop_type
-       FROM plants
-       JOIN plots ON plants.plot_id = plots.id
-       LEFT JOIN rows ON plants.row_id = rows.id
-       JOIN batches ON plots.batch_id = batches.id
-       WHERE plants.id = $1`,
-      [plantId]
+    const result = await getPool().query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND org_id = $2
+       RETURNING *`,
+      [Number(req.params.id), getOrgId(req)]
     );
-    if (!result.rows.length) return res.status(404).json({ errors: ['Plant not found.'], warnings: [] });
-    res.json({ plant: result.rows[0] });
+    if (!result.rows.length) {
+      return res.status(404).json({ errors: ['API key not found.'], warnings: [] });
+    }
+    res.json({ apiKey: toPublicApiKey(result.rows[0]) });
   } catch (error) {
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-app.post('/api/events', async (req, res) => {
-  const entityType = String(req.body.entityType || '').toLowerCase();
-  const entityId = Number(req.body.entityId);
-  const eventType = String(req.body.eventType || '').trim();
-  const payload = req.body.payload || null;
-  const createdBy = req.body.createdBy || null;
-  if (!['plot', 'row', 'plant'].includes(entityType)) {
-    return res.status(400).json({ errors: ['entityType must be plot, row, or plant.'], warnings: [] });
-  }
-  if (!entityId || !eventType) {
-    return res.status(400).json({ errors: ['entityId and eventType are required.'], warnings: [] });
-  }
+app.get('/admin', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    await ensureCoreDbReady();
-    const db = getPool();
-    const result = await db.query(
-      `INSERT INTO events (entity_type, entity_id, event_type, payload, created_by)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [entityType, entityId, eventType, payload, createdBy]
+    const orgId = getOrgId(req);
+    const superAdmin = isSuperAdmin(req.user);
+    const result = await getPool().query('SELECT * FROM users WHERE org_id = $1 ORDER BY username', [orgId]);
+    const keyResult = await getPool().query(
+      'SELECT * FROM api_keys WHERE org_id = $1 ORDER BY created_at DESC, id DESC',
+      [orgId]
     );
-    res.json({ event: result.rows[0] });
+    const orgResult = superAdmin
+      ? await getPool().query('SELECT * FROM organisations ORDER BY name')
+      : await getPool().query('SELECT * FROM organisations WHERE id = $1', [orgId]);
+    const orgNames = new Map(orgResult.rows.map((org) => [String(org.id), org.name]));
+    const orgOptions = (selected) => orgResult.rows.map((org) => `<option value="${escapeHtml(org.id)}"${String(org.id) === String(selected) ? ' selected' : ''}>${escapeHtml(org.name)}</option>`).join('');
+    const orgSelect = (selected) => (superAdmin ? `<select name="orgId">${orgOptions(selected)}</select>` : '');
+    const formatWhen = (value) => (value ? escapeHtml(new Date(value).toLocaleString('en-US')) : 'never');
+    const roleOptions = (selected) => ROLE_ORDER.map((role) => `<option value="${role}"${role === selected ? ' selected' : ''}>${escapeHtml(ROLE_LABELS[role])}</option>`).join('');
+    const userRows = result.rows.map((user) => `
+        <div class="event${user.disabled_at ? ' deleted' : ''}" data-user-id="${escapeHtml(user.id)}">
+          <div class="event-type">${escapeHtml(user.display_name || user.username)} · ${escapeHtml(user.username)}</div>
+          <div class="event-meta">${user.disabled_at ? 'Disabled' : `Last sign-in: ${user.last_login_at ? escapeHtml(new Date(user.last_login_at).toLocaleString('en-US')) : 'never'}`}</div>
+          <div class="form-row">
+            <select name="role">${roleOptions(user.role)}</select>
+            ${orgSelect(user.org_id)}
+            <input type="password" name="password" placeholder="New password" autocomplete="new-password" />
+            <button type="button" data-action="save">Save</button>
+            <button type="button" class="link" data-action="${user.disabled_at ? 'enable' : 'disable'}">${user.disabled_at ? 'Enable' : 'Disable'}</button>
+          </div>
+        </div>`).join('');
+    const keyRows = keyResult.rows.map((apiKey) => `
+        <div class="event${apiKey.revoked_at ? ' deleted' : ''}" data-key-id="${escapeHtml(apiKey.id)}">
+          <div class="event-type">${escapeHtml(apiKey.name)} · ${escapeHtml(apiKey.key_prefix)}… · ${escapeHtml(orgNames.get(String(apiKey.org_id)) || '')}</div>
+          <div class="event-note">${apiKey.scopes.map((scope) => escapeHtml(API_SCOPE_LABELS[scope] || scope)).join(', ')}</div>
+          <div class="event-meta">Created ${formatWhen(apiKey.created_at)} · Last used ${formatWhen(apiKey.last_used_at)}${apiKey.revoked_at ? ` · Revoked ${formatWhen(apiKey.revoked_at)}` : ''}</div>
+          ${apiKey.revoked_at ? '' : '<div class="event-actions"><button type="button" class="link" data-action="revoke">Revoke</button></div>'}
+        </div>`).join('');
+    const orgRows = orgResult.rows.map((org) => `
+        <div class="event" data-org-id="${escapeHtml(org.id)}">
+          <div class="form-row">
+            <input type="text" name="name" value="${escapeHtml(org.name)}" required />
+            <input type="url" name="qrBaseUrl" value="${escapeHtml(org.qr_base_url || '')}" placeholder="${escapeHtml(DEFAULT_QR.baseUrl)}" />
+            <button type="button" data-action="save">Save</button>
+          </div>
+        </div>`).join('');
+    const scopeChoices = Object.values(API_SCOPES).map((scope) => `
+            <label><input type="checkbox" name="scopes" value="${scope}" /> ${escapeHtml(API_SCOPE_LABELS[scope])}</label>`).join('');
+    const body = `
+      <h1>Accounts</h1>
+      <div class="meta">Signed in as ${escapeHtml(req.user.username)} · Working in ${escapeHtml(req.user.org_name)} · <a href="/">Label generator</a></div>
+      <div class="section">
+        <h2>Add user</h2>
+        <form id="userForm">
+          <div class="form-row">
+            <input type="text" name="username" placeholder="Username" required />
+            <input type="text" name="displayName" placeholder="Display name" />
+            <input type="password" name="password" placeholder="Password" autocomplete="new-password" required />
+            <select name="role">${roleOptions(ROLES.FIELD_WORKER)}</select>
+            ${orgSelect(req.user.org_id)}
+            <button type="submit">Add</button>
+          </div>
+        </form>
+      </div>
+      <div class="section">
+        <h2>Users</h2>
+        <div class="events" id="userList">${userRows}</div>
+        <div id="adminStatus" class="status"></div>
+      </div>
+      ${superAdmin ? `<div class="section">
+        <h2>Organisations</h2>
+        <div class="meta">Each farm sees only its own batches, sampling plans and imports. Move your own account to work in another farm.</div>
+        <form id="orgForm">
+          <div class="form-row">
+            <input type="text" name="name" placeholder="Farm or station name" required />
+            <input type="url" name="qrBaseUrl" placeholder="QR base URL (optional)" />
+            <button type="submit">Add</button>
+          </div>
+        </form>
+        <div class="events" id="orgList">${orgRows}</div>
+      </div>` : ''}
+      <div class="section">
+        <h2>API keys</h2>
+        <div class="meta">Scripts send a key as <code>Authorization: Bearer &lt;key&gt;</code>.</div>
+        <form id="apiKeyForm">
+          <div class="form-row">
+            <input type="text" name="name" placeholder="Key name" required />
+            ${scopeChoices}
+            <button type="submit">Create key</button>
+          </div>
+        </form>
+        <div id="apiKeyToken" class="status"></div>
+        <div class="events" id="apiKeyList">${keyRows || '<div class="empty">No API keys yet.</div>'}</div>
+      </div>
+      <script>
+        (() => {
+          const status = document.getElementById('adminStatus');
+          const send = async (url, method, body) => {
+            status.textContent = 'Saving...';
+            try {
+              const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                status.textContent = data.errors ? data.errors.join(', ') : 'Failed to save.';
+                return;
+              }
+              window.location.reload();
+            } catch (error) {
+              status.textContent = 'Failed to save.';
+            }
+          };
+          document.getElementById('userForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            send('/api/users', 'POST', Object.fromEntries(new FormData(event.target)));
+          });
+          document.getElementById('userList').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const item = button.closest('[data-user-id]');
+            const url = '/api/users/' + item.dataset.userId;
+            if (button.dataset.action === 'save') {
+              const password = item.querySelector('[name="password"]').value;
+              const orgSelect = item.querySelector('[name="orgId"]');
+              const body = { role: item.querySelector('[name="role"]').value };
+              if (orgSelect) body.orgId = orgSelect.value;
+              if (password) body.password = password;
+              send(url, 'PATCH', body);
+              return;
+            }
+            send(url, 'PATCH', { disabled: button.dataset.action === 'disable' });
+          });
+          const orgForm = document.getElementById('orgForm');
+          if (orgForm) {
+            orgForm.addEventListener('submit', (event) => {
+              event.preventDefault();
+              send('/api/organisations', 'POST', Object.fromEntries(new FormData(event.target)));
+            });
+            document.getElementById('orgList').addEventListener('click', (event) => {
+              const button = event.target.closest('button[data-action="save"]');
+              if (!button) return;
+              const item = button.closest('[data-org-id]');
+              send('/api/organisations/' + item.dataset.orgId, 'PATCH', {
+                name: item.querySelector('[name="name"]').value,
+                qrBaseUrl: item.querySelector('[name="qrBaseUrl"]').value
+              });
+            });
+          }
+          document.getElementById('apiKeyForm').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = new FormData(event.target);
+            const tokenBox = document.getElementById('apiKeyToken');
+            tokenBox.textContent = 'Creating...';
+            try {
+              const response = await fetch('/api/api-keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: form.get('name'), scopes: form.getAll('scopes') })
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                tokenBox.textContent = data.errors ? data.errors.join(', ') : 'Failed to create key.';
+                return;
+              }
+              // Shown once: only the hash is stored.
+              tokenBox.textContent = 'Copy this key now, it will not be shown again: ' + data.token;
+              event.target.reset();
+            } catch (error) {
+              tokenBox.textContent = 'Failed to create key.';
+            }
+          });
+          document.getElementById('apiKeyList').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="revoke"]');
+            if (!button || !window.confirm('Revoke this key? Scripts using it will stop working.')) return;
+            send('/api/api-keys/' + button.closest('[data-key-id]').dataset.keyId, 'DELETE', {});
+          });
+        })();
+      </script>
+    `;
+    res.send(renderPageShell('Accounts', body));
   } catch (error) {
     console.error('DB error:', error.message);
-    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+    res.status(500).send('Database connection failed. Check DATABASE_URL.');
   }
 });
 
-app.get('/api/events', async (req, res) => {
-  const entityType = String(req.query.entity_type || '').toLowerCase();
-  const entityId = Number(req.query.entity_id);
-  if (!entityType || !entityId) {
-    return res.status(400).json({ errors: ['entity_type and entity_id are required.'], warnings: [] });
+const SCAN_ENTITY_QUERIES = {
+  plot: `SELECT plots.id, plots.qr_token, plots.legacy_numeric_url FROM plots
+         JOIN batches ON plots.batch_id = batches.id
+         WHERE batches.org_id = $1 AND plots`,
+  row: `SELECT rows.id, rows.qr_token, rows.legacy_numeric_url FROM rows
+        JOIN plots ON rows.plot_id = plots.id
+        JOIN batches ON plots.batch_id = batches.id
+        WHERE batches.org_id = $1 AND rows`,
+  plant: `SELECT plants.id, plants.qr_token, plants.legacy_numeric_url FROM plants
+          JOIN plots ON plants.plot_id = plots.id
+          JOIN batches ON plots.batch_id = batches.id
+          WHERE batches.org_id = $1 AND plants`
+};
+
+// Scan pages are addressed by QR token. Labels printed before tokens existed
+// carry the numeric ID; those entities (and only those, so IDs cannot be
+// enumerated) get a permanent redirect to the token URL.
+async function findScanEntity(db, entityType, param, orgId) {
+  const query = SCAN_ENTITY_QUERIES[entityType];
+  const byToken = await db.query(`${query}.qr_token = $2`, [orgId, String(param)]);
+  if (byToken.rows.length) return { id: byToken.rows[0].id };
+  if (!/^\d+$/.test(String(param))) return null;
+  const byId = await db.query(`${query}.id = $2`, [orgId, Number(param)]);
+  if (!byId.rows.length || !byId.rows[0].legacy_numeric_url) return null;
+  return { redirect: getEntityPagePath(entityType, byId.rows[0].qr_token) };
+}
+
+// Every entity in the organisation whose full ID matches, newest batch first.
+// The same layout printed for several seasons gives one match per batch.
+async function resolveFullId(db, parsed, orgId) {
+  const batches = await db.query('SELECT * FROM batches WHERE org_id = $1 ORDER BY created_at DESC, id DESC', [orgId]);
+  const lookups = {
+    plot: {
+      sql: 'SELECT id, qr_token, retired_at FROM plots WHERE batch_id = $1 AND plot_no = $2',
+      params: [parsed.plotNo]
+    },
+    row: {
+      sql: `SELECT rows.id, rows.qr_token, rows.retired_at FROM rows
+            JOIN plots ON rows.plot_id = plots.id
+            WHERE plots.batch_id = $1 AND plots.plot_no = $2 AND rows.row_no = $3`,
+      params: [parsed.plotNo, parsed.rowNo]
+    },
+    plant: {
+      sql: `SELECT plants.id, plants.qr_token, plants.retired_at FROM plants
+            JOIN plots ON plants.plot_id = plots.id
+            LEFT JOIN rows ON plants.row_id = rows.id
+            WHERE plots.batch_id = $1 AND plots.plot_no = $2 AND plants.plant_no = $3
+              AND (($4::int IS NULL AND plants.row_id IS NULL) OR rows.row_no = $4::int)
+              AND plants.status <> 'replaced'`,
+      params: [parsed.plotNo, parsed.plantNo, parsed.rowNo]
+    }
+  };
+  const lookup = lookups[parsed.entityType];
+  const matches = [];
+  for (const batch of batches.rows) {
+    if (`${normalizeCode(batch.site_name)}-${normalizeCode(batch.crop_type)}` !== parsed.prefix) continue;
+    const result = await db.query(lookup.sql, [batch.id, ...lookup.params]);
+    if (!result.rows.length) continue;
+    const entity = result.rows[0];
+    matches.push({
+      entityType: parsed.entityType,
+      entityId: entity.id,
+      retired: Boolean(entity.retired_at),
+      qrToken: entity.qr_token,
+      url: getEntityPagePath(parsed.entityType, entity.qr_token),
+      batch: {
+        id: batch.id,
+        siteName: batch.site_name,
+        cropType: batch.crop_type,
+        batchName: batch.batch_name,
+        startDate: formatDateOnly(batch.start_date),
+        status: batch.status
+      }
+    });
+  }
+  return matches;
+}
+
+// A token signature names one match; a full-ID signature covers them all and
+// is re-signed per token, since scan pages only check token signatures.
+function applyResolveSignature(parsed, matches, signature) {
+  if (!signature) return { signature: null, matches };
+  const withSig = (match, sig) => ({ ...match, url: `${match.url}?sig=${encodeURIComponent(sig)}` });
+  const tokenSigned = matches.filter((match) => (
+    verifyQrSignature(getQrSignedMessage(match.entityType, match.qrToken), signature) === 'verified'
+  ));
+  if (tokenSigned.length) {
+    return { signature: 'verified', matches: tokenSigned.map((match) => withSig(match, signature)) };
+  }
+  const status = verifyQrSignature(getQrSignedMessage(parsed.entityType, null, parsed.fullId), signature);
+  return {
+    signature: status,
+    matches: matches.map((match) => withSig(match, status === 'verified'
+      ? signQrMessage(getQrSignedMessage(match.entityType, match.qrToken))
+      : signature))
+  };
+}
+
+function renderResolvePicker(fullId, matches, signature) {
+  const items = matches.map((match) => `
+        <a class="event" href="${escapeHtml(match.url)}">
+          <div class="event-type">${escapeHtml(match.batch.batchName || `Batch ${match.batch.id}`)}</div>
+          <div class="event-meta">${escapeHtml([
+            match.batch.startDate ? `Started ${match.batch.startDate}` : null,
+            match.batch.status,
+            match.retired ? 'removed from layout' : null
+          ].filter(Boolean).join(' · '))}</div>
+        </a>`).join('');
+  const body = `
+      <h1>${escapeHtml(fullId)}</h1>
+      <div class="meta">This label matches ${matches.length} batches. Pick the season you are working in.</div>
+      ${renderSignatureNotice(signature)}
+      <div class="events">${items}</div>
+    `;
+  return renderPageShell(escapeHtml(fullId), body);
+}
+
+// Shared by /farm/:fullId and browser requests to /api/resolve: one match
+// redirects straight to its scan page, several ask the user to pick.
+async function sendResolvedPage(req, res, { value, signature }) {
+  const parsed = parseFullId(value);
+  if (!parsed) return res.status(400).send(`${escapeHtml(value)} is not a plot, row or plant ID.`);
+  try {
+    await ensureDbReady();
+    const resolved = applyResolveSignature(parsed, await resolveFullId(getPool(), parsed, getOrgId(req)), signature);
+    const { matches } = resolved;
+    if (!matches.length) return res.status(404).send(`No plot, row or plant matches ${escapeHtml(parsed.fullId)}.`);
+    if (matches.length === 1) return res.redirect(matches[0].url);
+    res.send(renderResolvePicker(parsed.fullId, matches, resolved.signature));
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).send('Database connection failed. Check DATABASE_URL.');
+  }
+}
+
+// Accepts a bare full ID (qrMode id, signed as ID~signature) or a whole
+// /farm/...?sig= URL from a scanner.
+function getResolveInput(value, signature) {
+  let text = String(value || '').trim();
+  let sig = signature ? String(signature) : null;
+  const index = text.indexOf('/farm/');
+  if (index >= 0) {
+    const [pathText, queryText = ''] = text.slice(index + 6).split('#')[0].split('?');
+    text = decodeURIComponent(pathText);
+    sig = new URLSearchParams(queryText).get('sig') || sig;
+  }
+  const separator = text.lastIndexOf('~');
+  if (separator >= 0) {
+    sig = text.slice(separator + 1) || sig;
+    text = text.slice(0, separator);
+  }
+  return { value: text, signature: sig };
+}
+
+app.get('/farm/:fullId', requireRole(ROLES.VIEWER), (req, res) => (
+  sendResolvedPage(req, res, getResolveInput(req.params.fullId, req.query.sig))
+));
+
+app.get('/api/resolve', requireRole(ROLES.VIEWER, API_SCOPES.READ_BATCHES), async (req, res) => {
+  const input = getResolveInput(req.query.id, req.query.sig);
+  const { value } = input;
+  if (!value) return res.status(400).json({ errors: ['id is required.'], warnings: [] });
+  if (req.accepts(['json', 'html']) === 'html') return sendResolvedPage(req, res, input);
+  const parsed = parseFullId(value);
+  if (!parsed) {
+    return res.status(400).json({ errors: [`${value} is not a plot, row or plant ID.`], warnings: [] });
   }
   try {
-    await ensureCoreDbReady();
-    const db = getPool();
-    const result = await db.query(
-      `SELECT * FROM events
-       WHERE entity_type = $1 AND entity_id = $2
-       ORDER BY created_at DESC`,
-      [entityType, entityId]
+    await ensureDbReady();
+    const { signature, matches } = applyResolveSignature(
+      parsed,
+      await resolveFullId(getPool(), parsed, getOrgId(req)),
+      input.signature
     );
-    res.json({ events: result.rows });
+    if (!matches.length) {
+      return res.status(404).json({ errors: [`No plot, row or plant matches ${parsed.fullId}.`], warnings: [], parsed });
+    }
+    res.json({ parsed, signature, matches, url: matches.length === 1 ? matches[0].url : null });
   } catch (error) {
     console.error('DB error:', error.message);
     res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
   }
 });
 
-function renderPageShell(title, bodyHtml) {
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>${title}</title>
-  <style>
-    body { font-family: Arial, sans-serif; margin: 0; background: #f7f2ec; color: #111; }
-    .card { max-width: 720px; margin: 24px auto; background: #fff; border-radius: 16px; padding: 20px; box-shadow: 0 10px 30px rgba(0,0,0,0.08); }
-    h1 { font-size: 22px; margin: 0 0 8px; }
-    .meta { color: #555; margin-bottom: 12px; }
-    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; }
-    .label { font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em; color: #666; }
-    .value { font-size: 16px; font-weight: 600; }
-    .actions { margin-top: 16px; display: flex; gap: 10px; flex-wrap: wrap; }
-    button { border: none; border-radius: 999px; padding: 10px 16px; background: #f26b3a; color: #fff; font-size: 14px; }
-    .section { margin-top: 20px; }
-    .section h2 { margin: 0 0 8px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.12em; color: #666; }
-    .form-row { display: flex; gap: 8px; flex-wrap: wrap; }
-    input, select { padding: 8px 10px; border: 1px solid #ddd; border-radius: 10px; font-size: 14px; }
-    .events { display: grid; gap: 10px; }
-    .event { padding: 10px; border: 1px solid #eee; border-radius: 12px; background: #fafafa; }
-    .event-meta { font-size: 12px; color: #666; }
-    .event-type { font-weight: 600; margin-top: 4px; }
-    .event-note { margin-top: 4px; font-size: 14px; color: #222; }
-    .status { margin-top: 6px; font-size: 12px; color: #2a6a4f; }
-    .empty { font-size: 13px; color: #777; }
-  </style>
-</head>
-<body>
-  <div class="card">
-    ${bodyHtml}
-  </div>
-</body>
-</html>`;
-}
-
-app.get('/p/:plotId', async (req, res) => {
+app.get('/p/:plotId', requireRole(ROLES.VIEWER), async (req, res) => {
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
-    const plotId = Number(req.params.plotId);
+    const found = await findScanEntity(db, 'plot', req.params.plotId, getOrgId(req));
+    if (!found) return res.status(404).send('Plot not found.');
+    if (found.redirect) return res.redirect(301, found.redirect);
+    const plotId = found.id;
     const result = await db.query(
-      `SELECT plots.*, batches.site_name, batches.crop_type
+      `SELECT plots.*, batches.site_name, batches.crop_type, batches.status AS batch_status, batches.design
        FROM plots
        JOIN batches ON plots.batch_id = batches.id
-       WHERE plots.id = $1`,
-      [plotId]
+       WHERE plots.id = $1 AND batches.org_id = $2`,
+      [plotId, getOrgId(req)]
     );
     if (!result.rows.length) return res.status(404).send('Plot not found.');
     const plot = result.rows[0];
-    const eventsResult = await db.query(
-      `SELECT * FROM events WHERE entity_type = $1 AND entity_id = $2 ORDER BY created_at DESC LIMIT 50`,
-      ['plot', plotId]
-    );
+    const assignment = getDesignAssignment(plot.design, plot.plot_no);
+    const events = await loadEntityEvents(db, 'plot', plotId, { includeAncestors: true, includeDeleted: true, limit: 50 });
     const body = `
       <h1>Plot ${pad(plot.plot_no, 2)}</h1>
       <div class="meta">${plot.site_name} · ${plot.crop_type}</div>
+      ${renderSignatureNotice(verifyQrSignature(getQrSignedMessage('plot', plot.qr_token), req.query.sig))}
+      ${renderRetiredNotice(plot, 'plot')}
       <div class="grid">
         <div><div class="label">Rows</div><div class="value">${plot.row_count}</div></div>
         <div><div class="label">Plants</div><div class="value">${plot.plant_count}</div></div>
+        ${assignment ? `<div><div class="label">Treatment</div><div class="value">${escapeHtml(assignment.treatment)}</div></div>` : ''}
+        ${assignment && assignment.block ? `<div><div class="label">Block</div><div class="value">${assignment.block}</div></div>` : ''}
       </div>
-      ${renderEventsSection('plot', plotId, eventsResult.rows)}
+      ${renderEventsSection('plot', plotId, events, { lockedMessage: getEventsLockMessage(req.user, plot.batch_status), user: req.user, cropType: plot.crop_type, batchId: plot.batch_id })}
     `;
     res.send(renderPageShell(`Plot ${plot.plot_no}`, body));
   } catch (error) {
@@ -2149,32 +6478,34 @@ app.get('/p/:plotId', async (req, res) => {
   }
 });
 
-app.get('/r/:rowId', async (req, res) => {
+app.get('/r/:rowId', requireRole(ROLES.VIEWER), async (req, res) => {
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
-    const rowId = Number(req.params.rowId);
+    const found = await findScanEntity(db, 'row', req.params.rowId, getOrgId(req));
+    if (!found) return res.status(404).send('Row not found.');
+    if (found.redirect) return res.redirect(301, found.redirect);
+    const rowId = found.id;
     const result = await db.query(
-      `SELECT rows.*, plots.plot_no, batches.site_name, batches.crop_type
+      `SELECT rows.*, plots.plot_no, batches.site_name, batches.crop_type, batches.status AS batch_status
        FROM rows
        JOIN plots ON rows.plot_id = plots.id
        JOIN batches ON plots.batch_id = batches.id
-       WHERE rows.id = $1`,
-      [rowId]
+       WHERE rows.id = $1 AND batches.org_id = $2`,
+      [rowId, getOrgId(req)]
     );
     if (!result.rows.length) return res.status(404).send('Row not found.');
     const row = result.rows[0];
-    const eventsResult = await db.query(
-      `SELECT * FROM events WHERE entity_type = $1 AND entity_id = $2 ORDER BY created_at DESC LIMIT 50`,
-      ['row', rowId]
-    );
+    const events = await loadEntityEvents(db, 'row', rowId, { includeAncestors: true, includeDeleted: true, limit: 50 });
     const body = `
       <h1>Row ${pad(row.row_no, 2)}</h1>
       <div class="meta">${row.site_name} · ${row.crop_type} · Plot ${pad(row.plot_no, 2)}</div>
+      ${renderSignatureNotice(verifyQrSignature(getQrSignedMessage('row', row.qr_token), req.query.sig))}
+      ${renderRetiredNotice(row, 'row')}
       <div class="grid">
         <div><div class="label">Plants</div><div class="value">${row.plant_count}</div></div>
       </div>
-      ${renderEventsSection('row', rowId, eventsResult.rows)}
+      ${renderEventsSection('row', rowId, events, { lockedMessage: getEventsLockMessage(req.user, row.batch_status), user: req.user, cropType: row.crop_type })}
     `;
     res.send(renderPageShell(`Row ${row.row_no}`, body));
   } catch (error) {
@@ -2183,33 +6514,180 @@ app.get('/r/:rowId', async (req, res) => {
   }
 });
 
-app.get('/t/:plantId', async (req, res) => {
+app.get('/t/:plantId', requireRole(ROLES.VIEWER), async (req, res) => {
   try {
-    await ensureCoreDbReady();
+    await ensureDbReady();
     const db = getPool();
-    const plantId = Number(req.params.plantId);
+    const found = await findScanEntity(db, 'plant', req.params.plantId, getOrgId(req));
+    if (!found) return res.status(404).send('Plant not found.');
+    if (found.redirect) return res.redirect(301, found.redirect);
+    const plantId = found.id;
     const result = await db.query(
-      `SELECT plants.*, plots.plot_no, rows.row_no, batches.site_name, batches.crop_type
+      `SELECT plants.*, plots.plot_no, plots.batch_id, rows.row_no, batches.site_name, batches.crop_type, batches.status AS batch_status
        FROM plants
        JOIN plots ON plants.plot_id = plots.id
        LEFT JOIN rows ON plants.row_id = rows.id
        JOIN batches ON plots.batch_id = batches.id
-       WHERE plants.id = $1`,
-      [plantId]
+       WHERE plants.id = $1 AND batches.org_id = $2`,
+      [plantId, getOrgId(req)]
     );
     if (!result.rows.length) return res.status(404).send('Plant not found.');
     const plant = result.rows[0];
-    const eventsResult = await db.query(
-      `SELECT * FROM events WHERE entity_type = $1 AND entity_id = $2 ORDER BY created_at DESC LIMIT 50`,
-      ['plant', plantId]
+    const events = await loadEntityEvents(db, 'plant', plantId, { includeAncestors: true, includeDeleted: true, limit: 50 });
+    const traits = await loadBatchTraits(db, plant.batch_id);
+    const lockedMessage = getEventsLockMessage(req.user, plant.batch_status);
+    // Walk back through previous_season_plant_id so a carried-forward plant shows
+    // what was logged against it in earlier seasons.
+    const earlierResult = await db.query(
+      `WITH RECURSIVE lineage AS (
+         SELECT previous_season_plant_id AS id, 1 AS depth FROM plants WHERE id = $1
+         UNION ALL
+         SELECT plants.previous_season_plant_id, lineage.depth + 1
+         FROM plants JOIN lineage ON plants.id = lineage.id
+         WHERE lineage.depth < 20
+       )
+       SELECT events.*, batches.batch_name, batches.start_date
+       FROM lineage
+       JOIN events ON events.entity_type = 'plant' AND events.entity_id = lineage.id AND events.deleted_at IS NULL
+       JOIN plants ON plants.id = lineage.id
+       JOIN plots ON plants.plot_id = plots.id
+       JOIN batches ON plots.batch_id = batches.id
+       WHERE lineage.id IS NOT NULL AND batches.org_id = $2
+       ORDER BY events.created_at DESC
+       LIMIT 50`,
+      [plantId, getOrgId(req)]
+    );
+    // Replacements at this position, oldest planting first.
+    const lineageResult = await db.query(
+      `WITH RECURSIVE earlier AS (
+         SELECT id, replaces_plant_id, 0 AS depth FROM plants WHERE id = $1
+         UNION ALL
+         SELECT plants.id, plants.replaces_plant_id, earlier.depth - 1
+         FROM plants JOIN earlier ON plants.id = earlier.replaces_plant_id
+         WHERE earlier.depth > -20
+       ), later AS (
+         SELECT id, 0 AS depth FROM plants WHERE id = $1
+         UNION ALL
+         SELECT plants.id, later.depth + 1
+         FROM plants JOIN later ON plants.replaces_plant_id = later.id
+         WHERE later.depth < 20
+       )
+       SELECT plants.id, plants.qr_token, plants.status, plants.created_at, plants.status_changed_at, lineage.depth
+       FROM (SELECT id, depth FROM earlier UNION SELECT id, depth FROM later) lineage
+       JOIN plants ON plants.id = lineage.id
+       ORDER BY lineage.depth`,
+      [plantId]
     );
+    const lineage = lineageResult.rows;
+    const successor = lineage.find((entry) => entry.depth === 1);
+    const replacedHtml = plant.status === PLANT_STATUSES.REPLACED
+      ? `<div class="notice">This plant was replaced on ${escapeHtml(new Date(plant.status_changed_at).toLocaleDateString('en-US'))}.${successor ? ` <a href="${escapeHtml(getEntityPagePath('plant', successor.qr_token))}">Open the replacement</a>.` : ''}</div>`
+      : '';
+    const lineageHtml = lineage.length > 1
+      ? `
+      <div class="section">
+        <h2>Lineage</h2>
+        <div class="events">
+          ${lineage.map((entry, index) => {
+            const title = `Planting ${index + 1}${entry.depth === 0 ? ' (this plant)' : ''}`;
+            const meta = `Planted ${new Date(entry.created_at).toLocaleDateString('en-US')} · ${entry.status}`;
+            const inner = `<div class="event-type">${escapeHtml(title)}</div><div class="event-meta">${escapeHtml(meta)}</div>`;
+            return entry.depth === 0
+              ? `<div class="event">${inner}</div>`
+              : `<a class="event" href="${escapeHtml(getEntityPagePath('plant', entry.qr_token))}">${inner}</a>`;
+          }).join('')}
+        </div>
+      </div>`
+      : '';
+    const canReplace = hasRole(req.user, ROLES.SUPERVISOR)
+      && plant.status !== PLANT_STATUSES.REPLACED
+      && !plant.retired_at
+      && !getBatchLockError({ status: plant.batch_status }, 'replacing plants');
+    const replaceHtml = canReplace
+      ? `
+      <div class="section">
+        <h2>Replace plant</h2>
+        <form id="replaceForm" class="form-row">
+          <input type="text" name="note" placeholder="Reason (optional)" />
+          <button type="submit">Replace and print label</button>
+        </form>
+        <div id="replaceStatus" class="status"></div>
+      </div>
+      <script>
+        (() => {
+          const form = document.getElementById('replaceForm');
+          const status = document.getElementById('replaceStatus');
+          const link = (href, text, download) => {
+            const anchor = document.createElement('a');
+            anchor.href = href;
+            anchor.textContent = text;
+            if (download) anchor.download = download;
+            return anchor;
+          };
+          form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (!window.confirm('Mark this plant as replaced and create a new plant in its place?')) return;
+            status.textContent = 'Saving...';
+            try {
+              const response = await fetch('/api/plants/${escapeHtml(plantId)}/replace', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ note: form.elements.note.value.trim() })
+              });
+              if (!response.ok) {
+                const data = await response.json();
+                status.textContent = data.errors ? data.errors.join(', ') : 'Failed to replace plant.';
+                return;
+              }
+              if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+                const data = await response.json();
+                status.textContent = 'Replaced. ' + (data.warnings || []).join(' ') + ' ';
+                status.append(link(data.plantUrl, 'Open the replacement'));
+                form.remove();
+                return;
+              }
+              const label = URL.createObjectURL(await response.blob());
+              status.textContent = 'Replaced. ';
+              status.append(
+                link(label, 'Download label', 'replacement-label.pdf'),
+                ' · ',
+                link(response.headers.get('X-Plant-Url'), 'Open the replacement')
+              );
+              form.remove();
+            } catch (error) {
+              status.textContent = 'Failed to replace plant.';
+            }
+          });
+        })();
+      </script>`
+      : '';
+    const earlierHtml = earlierResult.rows.length
+      ? `
+      <div class="section">
+        <h2>Earlier seasons</h2>
+        <div class="events">
+          ${earlierResult.rows.map((event) => renderEventItem(event, {
+            context: event.batch_name || formatDateOnly(event.start_date) || 'Previous season',
+            eventTypes: getEventTypes(plant.crop_type, 'plant')
+          })).join('')}
+        </div>
+      </div>`
+      : '';
     const body = `
       <h1>Plant ${pad(plant.plant_no, 3)}</h1>
       <div class="meta">${plant.site_name} · ${plant.crop_type} · Plot ${pad(plant.plot_no, 2)}${plant.row_no ? ` · Row ${pad(plant.row_no, 2)}` : ''}</div>
+      ${renderSignatureNotice(verifyQrSignature(getQrSignedMessage('plant', plant.qr_token), req.query.sig))}
+      ${renderRetiredNotice(plant, 'plant')}
+      ${replacedHtml}
       <div class="grid">
+        <div><div class="label">Status</div><div class="value">${escapeHtml(plant.status)}</div></div>
         <div><div class="label">Tracking</div><div class="value">${plant.tracking_reason || 'N/A'}</div></div>
       </div>
-      ${renderEventsSection('plant', plantId, eventsResult.rows)}
+      ${renderMeasurementSection(plantId, traits, events, lockedMessage)}
+      ${renderEventsSection('plant', plantId, events, { lockedMessage, user: req.user, cropType: plant.crop_type, traits })}
+      ${replaceHtml}
+      ${lineageHtml}
+      ${earlierHtml}
     `;
     res.send(renderPageShell(`Plant ${plant.plant_no}`, body));
   } catch (error) {
@@ -2218,7 +6696,7 @@ app.get('/t/:plantId', async (req, res) => {
   }
 });
 
-app.post('/api/sample', async (req, res) => {
+app.post('/api/sample', requireRole(ROLES.SUPERVISOR), async (req, res) => {
   const validation = validatePayload(req.body || {});
   if (!validation.ok) {
     return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
@@ -2244,10 +6722,11 @@ app.post('/api/sample', async (req, res) => {
       samplingType: planResult.samplingType,
       seed: planResult.seed,
       config: planConfig,
+      plots: validation.values.plots,
       trackedPlants: planResult.trackedPlants
     };
     try {
-      await saveSamplingPlan(planRecord);
+      await saveSamplingPlan(getOrgId(req), planRecord);
     } catch (dbError) {
       console.error('DB error:', dbError.message);
       return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
@@ -2263,6 +6742,123 @@ app.post('/api/sample', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Farm Label Generator running on http://localhost:${PORT}`);
+// Preview only: the same config (with the returned seed) sent as `design` on
+// /api/pdf or /api/csv reproduces this assignment and stores it with the batch.
+app.post('/api/design', requireRole(ROLES.SUPERVISOR), (req, res) => {
+  const validation = validatePayload(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
+  }
+  try {
+    res.json({ design: buildExperimentalDesign(validation.values, req.body.design || {}) });
+  } catch (error) {
+    res.status(400).json({ errors: [error.message || 'Design failed.'], warnings: [] });
+  }
+});
+
+function summarizeSamplingPlan(plan) {
+  return {
+    id: plan.id,
+    createdAt: plan.createdAt,
+    siteName: plan.siteName,
+    cropType: plan.cropType,
+    batchName: plan.batchName,
+    structureCode: plan.structureCode,
+    samplingType: plan.samplingType,
+    seed: plan.seed,
+    totalSamples: Array.isArray(plan.trackedPlants) ? plan.trackedPlants.length : 0
+  };
+}
+
+app.get('/api/sampling-plans', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const plans = await loadSamplingPlans(getOrgId(req));
+    const sorted = [...plans].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ plans: sorted.map(summarizeSamplingPlan) });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.get('/api/sampling-plans/:id', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const plan = await loadSamplingPlan(getOrgId(req), req.params.id);
+    if (!plan) return res.status(404).json({ errors: ['Sampling plan not found.'], warnings: [] });
+    res.json({ plan });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.delete('/api/sampling-plans/:id', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  try {
+    const deleted = await deleteSamplingPlan(getOrgId(req), req.params.id);
+    if (!deleted) return res.status(404).json({ errors: ['Sampling plan not found.'], warnings: [] });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('DB error:', error.message);
+    res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+});
+
+app.post('/api/sampling-plans/:id/apply', requireRole(ROLES.SUPERVISOR), async (req, res) => {
+  const validation = validatePayload(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ errors: validation.errors, warnings: validation.warnings });
+  }
+  if (validation.values.mode !== MODES.RESEARCH) {
+    return res.status(400).json({ errors: ['Sampling is only available in Research mode.'], warnings: [] });
+  }
+
+  let plan = null;
+  try {
+    plan = await loadSamplingPlan(getOrgId(req), req.params.id);
+  } catch (error) {
+    console.error('DB error:', error.message);
+    return res.status(500).json({ errors: ['Database connection failed. Check DATABASE_URL.'], warnings: [] });
+  }
+  if (!plan) return res.status(404).json({ errors: ['Sampling plan not found.'], warnings: [] });
+
+  const mismatches = checkPlanMatchesStructure(plan, validation.values);
+  if (mismatches.length) {
+    return res.status(409).json({
+      errors: ['Current plot structure no longer matches this sampling plan.', ...mismatches],
+      warnings: []
+    });
+  }
+
+  res.json({
+    samplingPlanId: plan.id,
+    seed: plan.seed,
+    trackedPlants: plan.trackedPlants || [],
+    totalSamples: (plan.trackedPlants || []).length
+  });
 });
+
+if (process.argv.includes('--migrate')) {
+  runMigrations()
+    .then(() => {
+      console.log('Database schema is up to date.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+} else {
+  ensureDbReady()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`Farm Label Generator running on http://localhost:${PORT}`);
+        if (getStorageBackend() === 'local') {
+          console.log(`DATABASE_URL not set; using local database at ${LOCAL_DB_DIR}`);
+        }
+      });
+    })
+    .catch(() => {
+      console.error('Refusing to start until the database schema is up to date.');
+      process.exit(1);
+    });
+}